@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
 import { 
   Search, 
   Plus, 
@@ -19,23 +19,158 @@ import {
   Info,
   Share2,
   Copy,
-  Check
+  Check,
+  AlertTriangle,
+  CheckCircle2,
+  ArrowLeft,
+  Database,
+  ShieldAlert,
+  Calendar,
+  Download,
+  UserPlus,
+  UserMinus,
+  ArrowLeftRight,
+  Sparkles,
+  Lock,
+  Unlock,
+  Ban,
+  Loader2,
+  Layers,
+  Library,
+  Pencil,
+  Columns,
+  Radio,
+  History,
+  Eye,
+  GitFork,
+  Link2Off,
+  WifiOff,
+  RefreshCw,
+  Undo2,
+  Redo2,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  SlidersHorizontal,
+  ChevronDown,
+  Target,
+  ScatterChart,
+  FileDown,
+  FileJson,
+  Printer,
+  Image,
+  Upload,
+  LayoutGrid,
+  GitBranch,
+  CornerDownRight
 } from 'lucide-react';
-import { initializeApp } from 'firebase/app';
-import { 
-  getFirestore, 
-  doc, 
-  setDoc, 
-  getDoc, 
-  collection, 
-  onSnapshot 
-} from 'firebase/firestore';
-import { 
-  getAuth, 
-  signInAnonymously, 
-  signInWithCustomToken, 
-  onAuthStateChanged 
-} from 'firebase/auth';
+import {
+  ARCHETYPE_CRITERIA,
+  DEFAULT_ARCHETYPES,
+  criterionTarget,
+  isValidArchetype,
+  classifyRoster,
+  rosterIdentity,
+  archetypeMove
+} from './src/domain/archetypes';
+import {
+  POSITIONS,
+  POSITION_BUCKETS,
+  CAP_RULES,
+  DEFAULT_CAP_SEASON,
+  DEFAULT_CAP_GROWTH,
+  salaryFor,
+  salarySeasons,
+  rulesForSeason,
+  formatMoney,
+  CONTRACT_STATUSES,
+  contractStatus,
+  evaluateRoster,
+  projectCap,
+  formatSignedMoney
+} from './src/domain/cap';
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  normalizeHeader,
+  guessColumnMap,
+  isPercentileField,
+  buildPlayerPool,
+  mergePlayerPools,
+  applyPlayerMerge
+} from './src/domain/csv';
+import { datasetLabel, nextDatasetVersion, queuedDatasets, fetchDataset } from './src/domain/datasets';
+import {
+  lineupToCsv,
+  buildRosterExport,
+  parseRosterExport,
+  exportFileName,
+  ROSTER_CARD_SIZE,
+  drawRosterCard
+} from './src/domain/export';
+import {
+  DEFAULT_OPTIMIZER_WEIGHTS,
+  DEFAULT_BUCKET_MINS,
+  METRIC_LABELS,
+  playerScore,
+  runOptimizer,
+  buildOptimizerInput
+} from './src/domain/optimizer';
+import {
+  ROSTER_SCHEMA_VERSION,
+  LINK_EXPIRY_OPTIONS,
+  expiryDate,
+  validateRosterDoc,
+  applyRosterOp,
+  replaceOp,
+  applyLiveOps,
+  EMPTY_HISTORY,
+  recordCommand,
+  lineupAtStep,
+  fitHistory,
+  historySignature,
+  MAX_SCENARIOS,
+  startScenarioTree,
+  syncActiveScenario,
+  branchScenario,
+  removeScenario,
+  scenarioSummary,
+  serializeScenarios,
+  diffAgainstBaseline
+} from './src/domain/roster';
+import {
+  GAME_MINUTES,
+  MAX_PLAYER_MINUTES,
+  EMPTY_ROTATION,
+  unitIssues,
+  defaultRotation,
+  pruneRotation,
+  buildDepthChart,
+  depthWarning
+} from './src/domain/rotation';
+import { SIMILARITY_METRICS, findSimilarPlayers } from './src/domain/similarity';
+import {
+  computeLineupStats,
+  STAT_METRICS,
+  leagueBenchmarks,
+  benchmarkRank,
+  buildValueModel
+} from './src/domain/stats';
+import {
+  DEFAULT_TABLE_LAYOUT,
+  tableColumns,
+  columnValue,
+  isMissingValue,
+  sortPlayers,
+  filterPlayers,
+  pageCount,
+  pageSlice,
+  pageRange
+} from './src/domain/table';
+import { evaluateTrade } from './src/domain/trade';
+import { createFirestoreStorage } from './src/storage/firestoreStorage';
+import { rostersPath, rosterPath, presencePath, datasetsPath, datasetPath, tradePath, preferencesPath } from './src/storage/paths';
+import { SYNC_TIMEOUT_MS, SYNC_RETRY_MS, MAX_SYNC_ATTEMPTS, withTimeout, syncEntry, pushSyncEntry } from './src/storage/sync';
 
 /**
  * WNBA ROSTER ARCHITECT
@@ -44,126 +179,672 @@ import {
  */
 
 // Firebase Configuration
-const firebaseConfig = JSON.parse(__firebase_config);
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'wnba-roster-architect';
+// Created on first render rather than at import, so tests can render App with a
+// memory adapter (src/storage/memoryStorage.js) and no __firebase_config global.
+let defaultStorage = null;
+const getDefaultStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createFirestoreStorage({
+      config: JSON.parse(__firebase_config),
+      appId: typeof __app_id !== 'undefined' ? __app_id : 'wnba-roster-architect',
+      authToken: typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null,
+      // ?emulator=localhost points the app at the local Firebase emulators (default ports)
+      emulatorHost: new URLSearchParams(window.location.search).get('emulator'),
+    });
+  }
+  return defaultStorage;
+};
+
+const copyText = (text) => {
+  const textArea = document.createElement("textarea");
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (err) {
+    console.error('Copy failed', err);
+  }
+  document.body.removeChild(textArea);
+  return copied;
+};
+
+const DEPTH_STATUS_STYLES = {
+  gap: 'bg-red-50 text-red-600 border-red-100',
+  thin: 'bg-orange-50 text-orange-600 border-orange-100',
+  overloaded: 'bg-sky-50 text-sky-700 border-sky-100',
+  ok: 'bg-slate-50 text-slate-500 border-slate-100',
+};
 
-const SALARY_CAP = 1463000;
-const POSITIONS = ['G', 'F', 'C', 'G-F', 'F-G', 'F-C', 'C-F'];
-const ITEMS_PER_PAGE = 12;
+// --- Live Collaboration ---
+const PRESENCE_HEARTBEAT_MS = 20000;
+const PRESENCE_TTL_MS = 60000;
+const PARTICIPANT_COLORS = ['bg-orange-500', 'bg-sky-500', 'bg-emerald-500', 'bg-violet-500', 'bg-rose-500', 'bg-amber-500'];
 
-const App = () => {
+const participantLabel = (uid) => (uid || '????').slice(0, 4).toUpperCase();
+
+const participantColor = (uid) => {
+  const hash = [...(uid || '')].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0);
+  return PARTICIPANT_COLORS[hash % PARTICIPANT_COLORS.length];
+};
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const App = ({ storage: injectedStorage }) => {
+  const storage = injectedStorage || getDefaultStorage();
   const [players, setPlayers] = useState([]);
   const [lineup, setLineup] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
-  const [posFilter, setPosFilter] = useState('All');
-  const [teamFilter, setTeamFilter] = useState('All');
+  const [posFilters, setPosFilters] = useState([]);
+  const [teamFilters, setTeamFilters] = useState([]);
+  const [rangeFilters, setRangeFilters] = useState([]);
+  const [tableLayout, setTableLayout] = useState(DEFAULT_TABLE_LAYOUT);
+  const [tableLayouts, setTableLayouts] = useState([]);
+  const [archetypes, setArchetypes] = useState(DEFAULT_ARCHETYPES);
+  const [showArchetypes, setShowArchetypes] = useState(false);
+  const [compareTeam, setCompareTeam] = useState(null);
+  const [showTablePanel, setShowTablePanel] = useState(false);
+  const [layoutName, setLayoutName] = useState('');
+  const [statusFilter, setStatusFilter] = useState('All');
+  const [rosterTeam, setRosterTeam] = useState('');
+  const [baseline, setBaseline] = useState(null);
+  const [showTrade, setShowTrade] = useState(false);
+  const [sharedTrade, setSharedTrade] = useState(null);
+  const [showOptimizer, setShowOptimizer] = useState(false);
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [excludedIds, setExcludedIds] = useState([]);
+  const [rotation, setRotation] = useState(EMPTY_ROTATION);
+  const [rosterTitle, setRosterTitle] = useState('');
+  const [rosterNotes, setRosterNotes] = useState('');
+  const [currentRoster, setCurrentRoster] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [liveRosterId, setLiveRosterId] = useState(null);
+  const [liveHistory, setLiveHistory] = useState([]);
+  const [presence, setPresence] = useState([]);
+  const [liveError, setLiveError] = useState('');
+  const [sharedView, setSharedView] = useState(null);
+  const [shareLinkError, setShareLinkError] = useState(null);
+  // null keeps the saved roster's current expiry; a number of days (0 = never) replaces it on save
+  const [linkExpiryDays, setLinkExpiryDays] = useState(null);
+  const [rosterHistory, setRosterHistory] = useState(EMPTY_HISTORY);
+  const [showHistory, setShowHistory] = useState(false);
+  const [similarTarget, setSimilarTarget] = useState(null);
+  const [lastDropped, setLastDropped] = useState(null);
+  const [gapFilter, setGapFilter] = useState(null);
+  const [scenarios, setScenarios] = useState(null);
+  const [scenarioName, setScenarioName] = useState('');
+  const [showScenarioSummary, setShowScenarioSummary] = useState(false);
+  const [hydrated, setHydrated] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncQueue, setSyncQueue] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [showSyncPanel, setShowSyncPanel] = useState(false);
+  const syncQueueRef = useRef([]);
+  const syncingRef = useRef(false);
+  const localPoolRestored = useRef(false);
   const [showImport, setShowImport] = useState(false);
   const [csvText, setCsvText] = useState('');
+  const [importDraft, setImportDraft] = useState(null);
+  const [columnMap, setColumnMap] = useState([]);
+  const [importError, setImportError] = useState('');
+  const [importMode, setImportMode] = useState('replace');
+  const [conflictChoices, setConflictChoices] = useState({});
   const [currentPage, setCurrentPage] = useState(1);
   const [user, setUser] = useState(null);
-  const [isSaving, setIsSaving] = useState(false);
   const [shareUrl, setShareUrl] = useState('');
+  const [shareDatasetLabel, setShareDatasetLabel] = useState(null);
   const [copySuccess, setCopySuccess] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [rosterFileError, setRosterFileError] = useState('');
+  const rosterFileRef = useRef(null);
+  const [season, setSeason] = useState(DEFAULT_CAP_SEASON);
+  const [capGrowth, setCapGrowth] = useState(DEFAULT_CAP_GROWTH);
+  const [capOverride, setCapOverride] = useState(false);
+  const [datasets, setDatasets] = useState([]);
+  const [activeDataset, setActiveDataset] = useState(null);
+  const [poolDirty, setPoolDirty] = useState(false);
+  const [showDatasets, setShowDatasets] = useState(false);
+  const [datasetName, setDatasetName] = useState('');
 
-  // --- Firebase Auth & Deep Linking ---
+  // --- Offline Persistence ---
   useEffect(() => {
-    const initAuth = async () => {
-      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-        await signInWithCustomToken(auth, __initial_auth_token);
-      } else {
-        await signInAnonymously(auth);
+    const hydrate = async () => {
+      try {
+        const [workspace, queue] = await Promise.all([storage.local.get('workspace'), storage.local.get('syncQueue')]);
+        if (workspace) {
+          if (workspace.players?.length) {
+            localPoolRestored.current = true;
+            setPlayers(workspace.players);
+            setActiveDataset(workspace.activeDataset || null);
+            setPoolDirty(Boolean(workspace.poolDirty));
+          }
+          // A ?roster= link replaces the working roster, so only restore filters then
+          if (!new URLSearchParams(window.location.search).get('roster')) {
+            setLineup(workspace.lineup || []);
+            setRosterTeam(workspace.rosterTeam || '');
+            setBaseline(workspace.baseline || null);
+            setRotation(workspace.rotation || EMPTY_ROTATION);
+            setRosterTitle(workspace.rosterTitle || '');
+            setRosterNotes(workspace.rosterNotes || '');
+            setCurrentRoster(workspace.currentRoster || null);
+            setSharedView(workspace.sharedView || null);
+            setRosterHistory(workspace.rosterHistory || EMPTY_HISTORY);
+            setScenarios(workspace.scenarios || null);
+          }
+          setSearchTerm(workspace.searchTerm || '');
+          setPosFilters(workspace.posFilters || []);
+          setTeamFilters(workspace.teamFilters || []);
+          setRangeFilters(workspace.rangeFilters || []);
+          setTableLayout(workspace.tableLayout || DEFAULT_TABLE_LAYOUT);
+          setStatusFilter(workspace.statusFilter || 'All');
+          if (workspace.season) setSeason(workspace.season);
+          if (workspace.capGrowth != null) setCapGrowth(workspace.capGrowth);
+        }
+        if (queue?.length) {
+          // Entries queued before the storage adapter carry the artifacts/{appId} root
+          const migrated = queue.map(e => (e.path[0] === 'artifacts' ? { ...e, path: e.path.slice(2) } : e));
+          syncQueueRef.current = migrated;
+          setSyncQueue(migrated);
+        }
+      } catch (err) {
+        console.error('Local restore error:', err);
+      } finally {
+        setHydrated(true);
       }
     };
-    initAuth();
-    const unsubscribe = onAuthStateChanged(auth, setUser);
+    hydrate();
+  }, [storage]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const timer = setTimeout(() => {
+      storage.local.set('workspace', {
+        players, activeDataset, poolDirty,
+        lineup, rosterTeam, baseline, rotation, rosterTitle, rosterNotes, currentRoster, sharedView, rosterHistory, scenarios,
+        searchTerm, posFilters, teamFilters, statusFilter, rangeFilters, tableLayout, season, capGrowth,
+      }).catch(err => console.error('Local save error:', err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [storage, hydrated, players, activeDataset, poolDirty, lineup, rosterTeam, baseline, rotation, rosterTitle, rosterNotes,
+    currentRoster, sharedView, rosterHistory, scenarios, searchTerm, posFilters, teamFilters, statusFilter, rangeFilters, tableLayout,
+    season, capGrowth]);
+
+  useEffect(() => {
+    syncQueueRef.current = syncQueue;
+    if (hydrated) storage.local.set('syncQueue', syncQueue).catch(err => console.error('Local queue error:', err));
+  }, [storage, hydrated, syncQueue]);
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  const flushSyncQueue = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+    const pending = syncQueueRef.current.filter(e => e.attempts < MAX_SYNC_ATTEMPTS);
+    if (pending.length === 0) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    for (const entry of pending) {
+      // A newer save of the same document may be queued while this one is in flight
+      const isSame = (e) => e.key === entry.key && e.queuedAt === entry.queuedAt;
+      try {
+        await withTimeout(pushSyncEntry(storage, entry), SYNC_TIMEOUT_MS);
+        setSyncQueue(queue => queue.filter(e => !isSame(e)));
+      } catch (err) {
+        console.error('Sync error:', err);
+        setSyncQueue(queue => queue.map(e => (isSame(e) ? { ...e, attempts: e.attempts + 1, lastError: err.message } : e)));
+      }
+    }
+    syncingRef.current = false;
+    setIsSyncing(false);
+  }, [storage]);
+
+  useEffect(() => {
+    if (hydrated && user && isOnline) flushSyncQueue();
+  }, [hydrated, user, isOnline, flushSyncQueue]);
+
+  const hasRetryableSyncs = syncQueue.some(e => e.attempts < MAX_SYNC_ATTEMPTS);
+  useEffect(() => {
+    if (!hydrated || !user || !isOnline || !hasRetryableSyncs) return;
+    const timer = setInterval(flushSyncQueue, SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [hydrated, user, isOnline, hasRetryableSyncs, flushSyncQueue]);
+
+  const enqueueSync = (entries) => {
+    const keys = new Set(entries.map(e => e.key));
+    const next = [...syncQueueRef.current.filter(e => !keys.has(e.key)), ...entries];
+    syncQueueRef.current = next;
+    setSyncQueue(next);
+    if (user) flushSyncQueue();
+  };
+
+  const retrySync = () => {
+    const next = syncQueueRef.current.map(e => ({ ...e, attempts: 0, lastError: null }));
+    syncQueueRef.current = next;
+    setSyncQueue(next);
+    flushSyncQueue();
+  };
+
+  const discardFailedSyncs = () => {
+    if (!window.confirm('Discard saves that failed to sync? They will be lost.')) return;
+    setSyncQueue(syncQueueRef.current.filter(e => e.attempts < MAX_SYNC_ATTEMPTS));
+  };
+
+  const failedSyncs = syncQueue.filter(e => e.attempts >= MAX_SYNC_ATTEMPTS);
+
+  // --- Firebase Auth & Deep Linking ---
+  useEffect(() => {
+    storage.signIn().catch(err => console.error('Sign-in error:', err));
+    const unsubscribe = storage.onAuthChange(setUser);
     return () => unsubscribe();
+  }, [storage]);
+
+  const applyDataset = useCallback((dataset) => {
+    setPlayers(dataset.players || []);
+    setActiveDataset({ id: dataset.id, name: dataset.name, version: dataset.version });
+    setPoolDirty(false);
+    setCurrentPage(1);
   }, []);
 
+  const openRosterDoc = useCallback(async (rosterId, raw, { step = null } = {}) => {
+    const { roster: data, error } = validateRosterDoc(raw, storage.currentUid());
+    if (error) {
+      setShareLinkError(error);
+      return;
+    }
+    const isOwner = data.createdBy === storage.currentUid();
+    setShareLinkError(null);
+    // ?step= opens the roster at an earlier (or later) point in its saved history
+    const history = data.commandHistory;
+    const target = step != null && step >= 0 && step <= history.commands.length ? step : history.cursor;
+    setLineup(lineupAtStep(data.lineup, history, target));
+    setRosterHistory({ commands: history.commands, cursor: target });
+    setRosterTeam(data.rosterTeam || '');
+    setBaseline(data.baseline || null);
+    setRotation(data.rotation || EMPTY_ROTATION);
+    setRosterTitle(data.title || '');
+    setRosterNotes(data.notes || '');
+    setScenarios(data.scenarios || null);
+    // Only the author saves in place. Anyone else views read-only until they fork,
+    // unless the owner opened a live session for the group.
+    setCurrentRoster(isOwner ? {
+      id: rosterId,
+      createdAt: data.createdAt,
+      revoked: data.revoked,
+      expiresAt: expiryDate(data.expiresAt)?.toISOString() || null,
+      historySignature: historySignature(history),
+      historyOffset: 0,
+    } : null);
+    setLinkExpiryDays(null);
+    setSharedView(isOwner || data.collaborative ? null : { id: rosterId, owner: data.createdBy, title: data.title });
+    setLiveRosterId(data.collaborative ? rosterId : null);
+    setLiveError('');
+    setShareUrl('');
+    if (data.datasetId) {
+      const dataset = await fetchDataset(storage, data.datasetId);
+      if (dataset) applyDataset(dataset);
+    }
+  }, [storage, applyDataset]);
+
   useEffect(() => {
     // Check for shared roster in URL
     const params = new URLSearchParams(window.location.search);
     const sharedId = params.get('roster');
     
-    if (sharedId && user) {
+    if (sharedId && user && hydrated) {
       const loadSharedRoster = async () => {
-        const docRef = doc(db, 'artifacts', appId, 'public', 'data', 'rosters', sharedId);
-        const docSnap = await getDoc(docRef);
-        if (docSnap.exists()) {
-          setLineup(docSnap.data().lineup || []);
+        try {
+          const raw = await storage.get(rosterPath(sharedId));
+          if (!raw) {
+            setShareLinkError({ kind: 'missing', message: 'No roster exists at this link. It may have been deleted.' });
+            return;
+          }
+          const step = params.get('step');
+          await openRosterDoc(sharedId, raw, { step: step != null ? Number(step) : null });
+        } catch (err) {
+          console.error('Shared roster error:', err);
+          // Security rules deny reads of revoked or expired links outright
+          setShareLinkError(err.code === 'permission-denied'
+            ? { kind: 'revoked', message: 'This share link has expired or been revoked.' }
+            : { kind: 'error', message: 'Could not load this shared roster. Check your connection and try again.' });
         }
       };
       loadSharedRoster();
     }
-  }, [user]);
+  }, [storage, user, hydrated, openRosterDoc]);
 
-  // --- Save & Share Functionality ---
-  const handleSaveAndShare = async () => {
-    if (!user || lineup.length === 0) return;
-    setIsSaving(true);
-    
+  useEffect(() => {
+    // Check for shared trade in URL
+    const tradeId = new URLSearchParams(window.location.search).get('trade');
+    if (!tradeId || !user) return;
+    const loadSharedTrade = async () => {
+      const trade = await storage.get(tradePath(tradeId));
+      if (trade?.kind === 'trade') {
+        setSharedTrade(trade);
+        setShowTrade(true);
+      }
+    };
+    loadSharedTrade().catch(err => console.error('Trade load error:', err));
+  }, [storage, user]);
+
+  // --- Player Datasets ---
+  useEffect(() => {
+    if (!user) return;
+    const unsubscribe = storage.watchCollection(datasetsPath(), { field: 'createdBy', equals: user.uid }, (list) => {
+      list.sort((a, b) => a.name.localeCompare(b.name) || b.version - a.version);
+      setDatasets(list);
+    }, (err) => console.error('Dataset listener error:', err));
+    return () => unsubscribe();
+  }, [storage, user]);
+
+  useEffect(() => {
+    // A shared link brings its own dataset, and a pool restored from this device wins
+    // over the cloud preference; otherwise reopen the user's last active pool
+    if (!user || !hydrated || localPoolRestored.current) return;
+    if (new URLSearchParams(window.location.search).get('roster')) return;
+    const restoreActiveDataset = async () => {
+      const prefs = await storage.get(preferencesPath(user.uid));
+      const datasetId = prefs?.activeDatasetId;
+      if (!datasetId) return;
+      const dataset = await fetchDataset(storage, datasetId);
+      if (dataset) applyDataset(dataset);
+    };
+    restoreActiveDataset().catch(err => console.error('Dataset restore error:', err));
+  }, [storage, user, hydrated, applyDataset]);
+
+  const handleSwitchDataset = async (dataset) => {
+    if (poolDirty && !window.confirm('Discard unsaved changes to the current pool?')) return;
+    applyDataset(dataset);
+    setShowDatasets(false);
     try {
-      const rosterId = crypto.randomUUID();
-      const rosterData = {
-        lineup,
+      await storage.set(preferencesPath(user.uid), { activeDatasetId: dataset.id }, { merge: true });
+    } catch (err) {
+      console.error('Preference save error:', err);
+    }
+  };
+
+  const handleSaveDataset = () => {
+    const name = datasetName.trim();
+    if (!user || !name || players.length === 0) return;
+
+    const datasetId = crypto.randomUUID();
+    const version = nextDatasetVersion([...datasets, ...queuedDatasets(syncQueueRef.current)], name);
+    enqueueSync([
+      syncEntry(datasetPath(datasetId), {
+        name,
+        version,
+        players,
+        playerCount: players.length,
         createdAt: new Date().toISOString(),
-        createdBy: user.uid,
-        totalSalary: lineup.reduce((sum, p) => sum + (p.salary_2025_num || 0), 0)
-      };
+        createdBy: user.uid
+      }, `Dataset ${datasetLabel({ name, version })}`),
+      syncEntry(preferencesPath(user.uid), { activeDatasetId: datasetId }, 'Active dataset'),
+    ]);
+    setActiveDataset({ id: datasetId, name, version });
+    setPoolDirty(false);
+  };
+
+  // --- Scenarios ---
+  const scenarioTree = useMemo(
+    () => scenarios && syncActiveScenario(scenarios, { lineup, rotation, history: rosterHistory }),
+    [scenarios, lineup, rotation, rosterHistory]
+  );
+
+  const loadScenario = (scenario) => {
+    setLineup(scenario.lineup);
+    setRotation(scenario.rotation || EMPTY_ROTATION);
+    setRosterHistory(scenario.history || EMPTY_HISTORY);
+    setLastDropped(null);
+  };
+
+  const handleBranchScenario = () => {
+    const tree = scenarioTree || startScenarioTree({ lineup, rotation, history: rosterHistory });
+    if (tree.items.length >= MAX_SCENARIOS) return;
+    const next = branchScenario(tree, scenarioName.trim() || `Scenario ${tree.items.length}`, { lineup, rotation, history: rosterHistory });
+    setScenarios(next);
+    setRosterHistory(EMPTY_HISTORY);
+    setScenarioName('');
+  };
+
+  const handleSwitchScenario = (id) => {
+    if (id === scenarioTree.activeId) return;
+    setScenarios({ ...scenarioTree, activeId: id });
+    loadScenario(scenarioTree.items.find(s => s.id === id));
+  };
+
+  const handleRemoveScenario = (id) => {
+    const next = removeScenario(scenarioTree, id);
+    if (next.activeId !== scenarioTree.activeId) loadScenario(next.items.find(s => s.id === next.activeId));
+    // Down to the base alone, the roster is a plain roster again
+    setScenarios(next.items.length > 1 ? next : null);
+  };
+
+  const handleRenameScenario = (id, name) => {
+    setScenarios({ ...scenarioTree, items: scenarioTree.items.map(s => (s.id === id ? { ...s, name } : s)) });
+  };
+
+  // --- Save & Share Functionality ---
+  const handleSaveAndShare = ({ asCopy = false } = {}) => {
+    if (!user || lineup.length === 0 || !(compliance.compliant || capOverride)) return;
+
+    const target = asCopy ? null : currentRoster;
+    const rosterId = target?.id || crypto.randomUUID();
+    const now = new Date().toISOString();
+    const savedHistory = fitHistory(rosterHistory);
+    const expiresAt = linkExpiryDays == null
+      ? expiryDate(currentRoster?.expiresAt)
+      : linkExpiryDays ? new Date(Date.now() + linkExpiryDays * 86400000) : null;
+    const rosterData = {
+      schemaVersion: ROSTER_SCHEMA_VERSION,
+      title: rosterTitle.trim() || 'Untitled Roster',
+      notes: rosterNotes,
+      lineup,
+      createdAt: target?.createdAt || now,
+      updatedAt: now,
+      createdBy: user.uid,
+      totalSalary: lineup.reduce((sum, p) => sum + (salaryFor(p, season) || 0), 0),
+      datasetId: activeDataset && !poolDirty ? activeDataset.id : null,
+      datasetLabel: activeDataset && !poolDirty ? datasetLabel(activeDataset) : null,
+      season,
+      rosterTeam: rosterTeam || null,
+      baseline,
+      transactions: transactions ? transactions.moves : [],
+      capDelta: transactions ? transactions.capDelta : null,
+      rotation: activeRotation,
+      compliant: compliance.compliant,
+      overriddenViolations: compliance.compliant ? [] : compliance.violations.filter(v => v.severity === 'error').map(v => v.message),
+      revoked: Boolean(target?.revoked),
+      expiresAt,
+      commandHistory: savedHistory.history,
+      scenarios: scenarioTree ? serializeScenarios(scenarioTree) : null
+    };
+
+    // Synced with merge so a live roster keeps its session flag. During the session
+    // the lineup and its history are committed through transact, and merging them
+    // here would overwrite collaborators' edits made since our last snapshot.
+    const { lineup: _lineup, totalSalary: _totalSalary, commandHistory: _commandHistory, ...sessionData } = rosterData;
+    const payload = liveRosterId === rosterId ? sessionData : rosterData;
+    enqueueSync([syncEntry(rosterPath(rosterId), payload, rosterData.title)]);
+    setCurrentRoster({
+      id: rosterId,
+      createdAt: rosterData.createdAt,
+      revoked: rosterData.revoked,
+      expiresAt: expiresAt?.toISOString() || null,
+      historySignature: historySignature(rosterHistory),
+      historyOffset: savedHistory.dropped,
+    });
+    // Later saves keep this expiry rather than restarting the countdown
+    setLinkExpiryDays(null);
+
+    const url = `${window.location.origin}${window.location.pathname}?roster=${rosterId}`;
+    setShareUrl(url);
+    setShareDatasetLabel(rosterData.datasetLabel);
+  };
 
-      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rosters', rosterId), rosterData);
-      
-      const url = `${window.location.origin}${window.location.pathname}?roster=${rosterId}`;
-      setShareUrl(url);
+  const handleToggleRevoke = async () => {
+    const revoked = !currentRoster.revoked;
+    try {
+      await storage.update(rosterPath(currentRoster.id), { revoked, updatedAt: new Date().toISOString() });
+      setCurrentRoster({ ...currentRoster, revoked });
     } catch (err) {
-      console.error("Save error:", err);
-    } finally {
-      setIsSaving(false);
+      console.error('Revoke error:', err);
+    }
+  };
+
+  // Clearing also starts a new, unsaved roster. Undo brings back the players but
+  // nothing else, so confirm whenever more than the lineup would be lost.
+  const handleClearRoster = () => {
+    const losses = [
+      currentRoster && 'its link to the saved roster',
+      baseline && 'the team baseline',
+      (rosterTitle.trim() || rosterNotes.trim()) && 'the title and notes',
+      scenarios?.items.length > 1 && `all ${scenarios.items.length} scenarios`,
+    ].filter(Boolean);
+    if (losses.length > 0 && !window.confirm(`Clear the roster? Undo restores the players, but not ${losses.join(', ')}.`)) return;
+    if (liveRosterId) handleEndLive();
+    if (lineup.length > 0) setRosterHistory(recordCommand(rosterHistory, replaceOp(lineup, [], 'Cleared roster'), lineup));
+    setLineup([]);
+    setBaseline(null);
+    setCurrentRoster(null);
+    setSharedView(null);
+    setRosterTitle('');
+    setRosterNotes('');
+    setScenarios(null);
+    setShareUrl('');
+  };
+
+  const handleFork = () => {
+    setRosterTitle(`${sharedView.title || 'Untitled Roster'} (Fork)`);
+    setSharedView(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const dismissShareLinkError = () => {
+    setShareLinkError(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  // --- Roster Export ---
+  const exportDoc = () => buildRosterExport({
+    title: rosterTitle, notes: rosterNotes, season, rosterTeam, baseline, rotation: activeRotation, lineup, stats: lineupStats
+  });
+
+  const handleExportCsv = () => downloadFile(exportFileName(rosterTitle, 'csv'), lineupToCsv(lineup), 'text/csv');
+
+  const handleExportJson = () => downloadFile(exportFileName(rosterTitle, 'json'), JSON.stringify(exportDoc(), null, 2), 'application/json');
+
+  const handleExportCard = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = ROSTER_CARD_SIZE.width;
+    canvas.height = ROSTER_CARD_SIZE.height;
+    drawRosterCard(canvas.getContext('2d'), {
+      title: rosterTitle, season, rosterTeam, lineup, stats: lineupStats, salaryCap: capRules.salaryCap, identity: rosterIdentity(archetypeResults)
+    });
+    canvas.toBlob(blob => blob && downloadFile(exportFileName(rosterTitle, 'png'), blob));
+  };
+
+  // Restoring a file starts a new, unsaved roster, like clearing does
+  const handleImportRosterFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { roster, error } = parseRosterExport(await file.text(), capRules.roster.max);
+    if (error) {
+      setRosterFileError(error);
+      return;
     }
+    if (liveRosterId) handleEndLive();
+    setRosterHistory(recordCommand(rosterHistory, replaceOp(lineup, roster.lineup, `Imported ${roster.title || file.name}`), lineup));
+    setLineup(roster.lineup);
+    if (roster.season) setSeason(roster.season);
+    setRosterTeam(roster.rosterTeam);
+    setBaseline(roster.baseline);
+    setRotation(roster.rotation);
+    setRosterTitle(roster.title);
+    setRosterNotes(roster.notes);
+    setScenarios(null);
+    setCurrentRoster(null);
+    setSharedView(null);
+    setShareUrl('');
+    setRosterFileError('');
   };
 
   const copyToClipboard = () => {
-    const textArea = document.createElement("textarea");
-    textArea.value = shareUrl;
-    document.body.appendChild(textArea);
-    textArea.select();
-    try {
-      document.execCommand('copy');
+    if (copyText(shareUrl)) {
       setCopySuccess(true);
       setTimeout(() => setCopySuccess(false), 2000);
-    } catch (err) {
-      console.error('Copy failed', err);
     }
-    document.body.removeChild(textArea);
   };
 
   // CSV Engine
   const handleImport = () => {
     try {
-      const rows = csvText.split('\n').filter(r => r.trim() !== '');
-      if (rows.length < 2) return;
-      const headers = rows[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-      
-      const parsedData = rows.slice(1).map(row => {
-        const values = row.split(',').map(v => v.trim().replace(/"/g, ''));
-        const entry = {};
-        headers.forEach((header, i) => {
-          const val = values[i];
-          const key = header === 'athlete name' ? 'player' : header;
-          entry[key] = isNaN(val) || val === "" ? val : parseFloat(val);
-        });
-        return entry;
-      }).filter(p => p.player);
-
-      setPlayers(parsedData);
-      setShowImport(false);
-      setCsvText('');
-      setCurrentPage(1);
+      const [headerRow, ...rows] = parseCsv(csvText);
+      if (!headerRow || rows.length === 0) {
+        setImportError('Paste a header row followed by at least one athlete row.');
+        return;
+      }
+      setImportDraft({ headers: headerRow.map(h => h.trim()), rows });
+      setColumnMap(guessColumnMap(headerRow));
+      setConflictChoices({});
+      setImportError('');
     } catch (err) {
-      console.error(err);
+      setImportError(err.message);
+    }
+  };
+
+  const isMerge = importMode === 'merge' && players.length > 0;
+
+  const importReport = useMemo(() => {
+    if (!importDraft) return null;
+    return buildPlayerPool(importDraft.headers, importDraft.rows, columnMap, { allowMissingId: isMerge });
+  }, [importDraft, columnMap, isMerge]);
+
+  const mergePreview = useMemo(() => {
+    if (!importReport || !isMerge) return null;
+    return mergePlayerPools(players, importReport.players);
+  }, [importReport, isMerge, players]);
+
+  const resolveAllConflicts = (choice) => {
+    setConflictChoices(Object.fromEntries(mergePreview.conflicts.map(c => [c.key, choice])));
+  };
+
+  const closeImport = () => {
+    setShowImport(false);
+    setImportDraft(null);
+    setImportError('');
+  };
+
+  const commitImport = () => {
+    if (!importReport || importReport.players.length === 0) return;
+    if (mergePreview) {
+      const merged = applyPlayerMerge(players, mergePreview, conflictChoices);
+      const mergedById = new Map(merged.map(p => [p.athlete_id, p]));
+      setPlayers(merged);
+      setLineup(lineup.map(lp => mergedById.get(lp.athlete_id) || lp));
+    } else {
+      setPlayers(importReport.players);
     }
+    setPoolDirty(true);
+    closeImport();
+    setCsvText('');
+    setCurrentPage(1);
   };
 
   const teams = useMemo(() => {
@@ -171,36 +852,312 @@ const App = () => {
     return uniqueTeams.sort();
   }, [players]);
 
-  const lineupStats = useMemo(() => {
-    if (lineup.length === 0) return null;
-    const count = lineup.length;
-    return {
-      totalSalary: lineup.reduce((sum, p) => sum + (p.salary_2025_num || 0), 0),
-      avgTs: lineup.reduce((sum, p) => sum + (p.ts_pctile_pos || 0), 0) / count,
-      avgUsage: lineup.reduce((sum, p) => sum + (p.usage_pctile_pos || 0), 0) / count,
-      avgDef: lineup.reduce((sum, p) => sum + (p.def_efg_pctile_pos || 0), 0) / count,
-      avgAst: lineup.reduce((sum, p) => sum + (p.ast_pctile_pos || 0), 0) / count,
+  const activeRotation = useMemo(() => pruneRotation(rotation, lineup), [rotation, lineup]);
+  const rotationMinutes = Object.values(activeRotation.minutes).reduce((sum, m) => sum + m, 0);
+  const isMinutesWeighted = rotationMinutes > 0;
+
+  const lineupStats = useMemo(
+    () => computeLineupStats(lineup, season, isMinutesWeighted ? activeRotation.minutes : null),
+    [lineup, season, isMinutesWeighted, activeRotation]
+  );
+
+  const benchmarks = useMemo(() => leagueBenchmarks(players, season), [players, season]);
+  // Franchises are scored on a flat roster average, so ranks use the same measure even when minutes are set
+  const flatLineupStats = useMemo(
+    () => (isMinutesWeighted ? computeLineupStats(lineup, season) : lineupStats),
+    [isMinutesWeighted, lineup, season, lineupStats]
+  );
+
+  const lineupRanks = useMemo(() => {
+    if (!flatLineupStats || benchmarks.length < 2) return null;
+    return Object.fromEntries(['totalSalary', ...STAT_METRICS.map(m => m.key)].map(key => [
+      key,
+      { ...benchmarkRank(flatLineupStats[key], benchmarks, key), value: flatLineupStats[key] },
+    ]));
+  }, [flatLineupStats, benchmarks]);
+
+  const archetypeResults = useMemo(() => classifyRoster(lineup, archetypes).slice(0, 3), [lineup, archetypes]);
+
+  const capRules = useMemo(() => rulesForSeason(season, capGrowth), [season, capGrowth]);
+  const compliance = useMemo(
+    () => evaluateRoster(lineup, capRules, { rosterTeam: rosterTeam || null }),
+    [lineup, capRules, rosterTeam]
+  );
+
+  const scenarioRows = useMemo(
+    () => (scenarioTree ? scenarioSummary(scenarioTree, season, capRules, rosterTeam || null) : null),
+    [scenarioTree, season, capRules, rosterTeam]
+  );
+
+  const archetypeMoves = useMemo(
+    () => archetypeResults.map(r => archetypeMove(lineup, r.archetype, players, capRules.roster.max)),
+    [archetypeResults, lineup, players, capRules]
+  );
+
+  // Swapping frees the target's salary before the replacement is charged
+  const similarCapRoom = capRules.salaryCap - (compliance.payroll || 0)
+    + (similarTarget?.mode === 'swap' ? salaryFor(similarTarget.player, season) || 0 : 0);
+
+  useEffect(() => {
+    // An override only covers the roster it was granted for
+    setCapOverride(false);
+  }, [lineup, capRules, rosterTeam]);
+
+  // --- Multi-Year Projection ---
+  const seasons = useMemo(() => {
+    const known = [...salarySeasons(players), ...Object.keys(CAP_RULES).map(Number)];
+    const first = Math.min(...known);
+    const last = Math.max(...known, DEFAULT_CAP_SEASON + 2);
+    return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  }, [players]);
+
+  const capProjection = useMemo(() => projectCap(lineup, seasons, capGrowth), [lineup, seasons, capGrowth]);
+
+  // --- Live Collaboration ---
+  useEffect(() => {
+    if (!liveRosterId || !user) return;
+    const presenceDoc = [...presencePath(liveRosterId), user.uid];
+
+    const unsubscribeRoster = storage.watch(rosterPath(liveRosterId), (data) => {
+      if (!data) {
+        setLiveError('This roster was deleted. Live session ended.');
+        setLiveRosterId(null);
+        return;
+      }
+      if (!data.collaborative) {
+        setLiveError('The owner ended the live session.');
+        setLiveRosterId(null);
+        return;
+      }
+      setLineup(data.lineup || []);
+      setLiveHistory(data.history || []);
+    }, (err) => {
+      console.error('Live roster error:', err);
+      setLiveError('Lost connection to the live roster.');
+    });
+    const unsubscribePresence = storage.watchCollection(presencePath(liveRosterId), null, setPresence);
+
+    const heartbeat = () => storage.set(presenceDoc, { uid: user.uid, lastSeen: new Date().toISOString() })
+      .catch(err => console.error('Presence error:', err));
+    heartbeat();
+    const timer = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+
+    return () => {
+      clearInterval(timer);
+      unsubscribeRoster();
+      unsubscribePresence();
+      storage.remove(presenceDoc).catch(() => {});
+      setPresence([]);
+      setLiveHistory([]);
+    };
+  }, [storage, liveRosterId, user]);
+
+  // Applies ops in order inside one transaction, so they land together or, if any is
+  // rejected, not at all. Resolves to the server lineup they started from, or null.
+  const commitLiveOps = async (ops) => {
+    try {
+      const { rejected, before } = await storage.transact(rosterPath(liveRosterId), (data) => applyLiveOps(data, ops, {
+        maxRoster: capRules.roster.max,
+        season,
+        uid: user.uid,
+      }));
+      setLiveError(rejected || '');
+      return rejected ? null : before;
+    } catch (err) {
+      console.error('Live edit error:', err);
+      setLiveError('Edit failed to sync. Try again.');
+      return null;
+    }
+  };
+
+  // Resolves to whether the edit was applied
+  const editLineup = async (op) => {
+    if (sharedView) return false;
+    if (!liveRosterId) {
+      setRosterHistory(recordCommand(rosterHistory, op, lineup));
+      setLineup(current => applyRosterOp(current, op, Infinity).lineup);
+      return true;
+    }
+    // A live edit joins the undo timeline only once the server accepts it
+    const before = await commitLiveOps([op]);
+    if (before) setRosterHistory(history => recordCommand(history, op, before));
+    return Boolean(before);
+  };
+
+  // --- Undo / Redo ---
+  // Stepping through history also works in a read-only view, where it only moves the local lineup
+  const goToStep = async (step) => {
+    const { commands, cursor } = rosterHistory;
+    if (step < 0 || step > commands.length || step === cursor) return;
+    const ops = step < cursor
+      ? commands.slice(step, cursor).reverse().map(c => c.inverse)
+      : commands.slice(cursor, step).map(c => c.op);
+    if (liveRosterId) {
+      if (!(await commitLiveOps(ops))) return;
+    } else {
+      setLineup(current => ops.reduce((next, op) => applyRosterOp(next, op, Infinity).lineup, current));
+    }
+    // Leave the cursor alone if another edit rewrote the timeline meanwhile
+    setRosterHistory(history => (history.commands === commands ? { commands, cursor: step } : history));
+  };
+
+  const canUndo = rosterHistory.cursor > 0;
+  const canRedo = rosterHistory.cursor < rosterHistory.commands.length;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      // Leave text fields their native undo
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        goToStep(rosterHistory.cursor - 1);
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        goToStep(rosterHistory.cursor + 1);
+      }
     };
-  }, [lineup]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Step links only line up with the saved document while local history is unchanged since the save
+  const stepLinksAvailable = currentRoster && currentRoster.historySignature === historySignature(rosterHistory);
+
+  const copyStepLink = (step) => {
+    const savedStep = step - (currentRoster.historyOffset || 0);
+    if (savedStep < 0) return;
+    copyText(`${window.location.origin}${window.location.pathname}?roster=${currentRoster.id}&step=${savedStep}`);
+  };
+
+  const handleGoLive = async () => {
+    if (!currentRoster) return;
+    try {
+      await storage.update(rosterPath(currentRoster.id), {
+        collaborative: true,
+        lineup,
+        updatedAt: new Date().toISOString(),
+      });
+      setLiveError('');
+      setLiveRosterId(currentRoster.id);
+      setShareUrl(`${window.location.origin}${window.location.pathname}?roster=${currentRoster.id}`);
+    } catch (err) {
+      console.error('Go live error:', err);
+      setLiveError('Could not start a live session.');
+    }
+  };
+
+  const handleEndLive = async () => {
+    const rosterId = liveRosterId;
+    setLiveRosterId(null);
+    if (currentRoster?.id !== rosterId) return;
+    try {
+      await storage.update(rosterPath(rosterId), { collaborative: false });
+    } catch (err) {
+      console.error('End live error:', err);
+    }
+  };
+
+  const activeParticipants = presence.filter(pr => Date.now() - new Date(pr.lastSeen).getTime() < PRESENCE_TTL_MS);
+
+  // --- Team Baseline ---
+  const handleLoadTeam = async (team) => {
+    if (lineup.length > 0 && !window.confirm(`Replace the current roster with ${team}'s roster?`)) return;
+    const teamRoster = players.filter(p => p.team === team);
+    // A live session can reject the load, and then the roster isn't this team's
+    if (!(await editLineup(replaceOp(lineup, teamRoster, `Loaded ${team}`)))) return;
+    setRosterTeam(team);
+    setBaseline({ team, lineup: teamRoster, loadedAt: new Date().toISOString() });
+  };
+
+  const transactions = useMemo(
+    () => (baseline ? diffAgainstBaseline(baseline.lineup, lineup, season) : null),
+    [baseline, lineup, season]
+  );
+
+  const toggleId = (list, setList, id) => setList(list.includes(id) ? list.filter(x => x !== id) : [...list, id]);
 
   // Filtering Logic
+  // --- Athlete Table ---
+  const valueModel = useMemo(() => buildValueModel(players, season), [players, season]);
+  const lineupValue = useMemo(() => {
+    const rows = lineup
+      .map(p => ({ player: p, surplus: valueModel.byId.get(p.athlete_id)?.surplus }))
+      .filter(r => r.surplus != null)
+      .sort((a, b) => b.surplus - a.surplus);
+    return { total: rows.reduce((sum, r) => sum + r.surplus, 0), rows };
+  }, [lineup, valueModel]);
+
+  const depthChart = useMemo(() => buildDepthChart(lineup, activeRotation.minutes), [lineup, activeRotation]);
+  // The gap filter lifts itself once the gap is filled
+  const activeGap = depthChart.find(slot => slot.bucket === gapFilter && slot.status === 'gap') || null;
+
+  const availableColumns = useMemo(() => tableColumns(players, valueModel.ready), [players, valueModel.ready]);
+  // Layouts saved against another pool may name columns this pool lacks
+  const visibleColumns = tableLayout.columns.map(key => availableColumns.find(c => c.key === key)).filter(Boolean);
+
   const filteredPlayers = useMemo(() => {
-    return players.filter(p => {
-      const matchesSearch = p.player?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                            p.team?.toLowerCase().includes(searchTerm.toLowerCase());
-      const matchesPos = posFilter === 'All' || p.position?.includes(posFilter);
-      const matchesTeam = teamFilter === 'All' || p.team === teamFilter;
-      const inLineup = lineup.find(lp => lp.athlete_id === p.athlete_id);
-      return matchesSearch && matchesPos && matchesTeam && !inLineup;
-    });
-  }, [players, searchTerm, posFilter, teamFilter, lineup]);
+    const matches = filterPlayers(players, {
+      searchTerm, posFilters, teamFilters, statusFilter, rangeFilters,
+      gapBucket: activeGap?.bucket,
+      excludeIds: lineup.map(p => p.athlete_id),
+    }, season, valueModel.byId);
+    return sortPlayers(matches, tableLayout.sort, season, valueModel.byId);
+  }, [players, searchTerm, posFilters, teamFilters, statusFilter, activeGap, rangeFilters, tableLayout.sort, season, valueModel, lineup]);
+
+  const toggleSort = (column) => {
+    const sort = tableLayout.sort;
+    const next = sort?.key === column.key
+      ? { key: column.key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+      : { key: column.key, dir: column.numeric ? 'desc' : 'asc' };
+    setTableLayout({ ...tableLayout, sort: next });
+    setCurrentPage(1);
+  };
+
+  const toggleColumn = (key) => {
+    const columns = tableLayout.columns.includes(key)
+      ? tableLayout.columns.filter(c => c !== key)
+      : [...tableLayout.columns, key];
+    setTableLayout({ ...tableLayout, columns });
+  };
+
+  const updateRangeFilter = (id, changes) => {
+    setRangeFilters(rangeFilters.map(f => (f.id === id ? { ...f, ...changes } : f)));
+    setCurrentPage(1);
+  };
+
+  useEffect(() => {
+    if (!user) return;
+    const unsubscribe = storage.watch(preferencesPath(user.uid), (prefs) => {
+      setTableLayouts(prefs?.tableLayouts || []);
+      const saved = prefs?.archetypes;
+      setArchetypes(Array.isArray(saved) && saved.every(isValidArchetype) ? saved : DEFAULT_ARCHETYPES);
+    }, (err) => console.error('Layout listener error:', err));
+    return () => unsubscribe();
+  }, [storage, user]);
+
+  const persistTableLayouts = (next) => {
+    setTableLayouts(next);
+    enqueueSync([syncEntry(preferencesPath(user.uid), { tableLayouts: next }, 'Table layouts')]);
+  };
+
+  // null resets to the built-in library
+  const persistArchetypes = (next) => {
+    setArchetypes(next || DEFAULT_ARCHETYPES);
+    if (user) enqueueSync([syncEntry(preferencesPath(user.uid), { archetypes: next }, 'Archetypes')]);
+  };
+
+  const handleSaveLayout = () => {
+    const name = layoutName.trim();
+    if (!user || !name) return;
+    persistTableLayouts([...tableLayouts.filter(l => l.name !== name), { name, ...tableLayout }]);
+    setLayoutName('');
+  };
 
   // Pagination Logic
-  const totalPages = Math.max(1, Math.ceil(filteredPlayers.length / ITEMS_PER_PAGE));
-  const paginatedPlayers = useMemo(() => {
-    const start = (currentPage - 1) * ITEMS_PER_PAGE;
-    return filteredPlayers.slice(start, start + ITEMS_PER_PAGE);
-  }, [filteredPlayers, currentPage]);
+  const totalPages = pageCount(filteredPlayers.length);
+  const paginatedPlayers = useMemo(() => pageSlice(filteredPlayers, currentPage), [filteredPlayers, currentPage]);
 
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= totalPages) {
@@ -222,6 +1179,100 @@ const App = () => {
         </div>
         
         <div className="flex items-center gap-4">
+          {/* Sync Status */}
+          <div className="relative">
+            <button
+              onClick={() => setShowSyncPanel(!showSyncPanel)}
+              className={`flex items-center gap-2 px-3 py-2.5 rounded-lg text-[10px] font-black tracking-widest border transition-all ${
+                failedSyncs.length > 0 ? 'bg-red-500/10 text-red-400 border-red-500/30'
+                  : !isOnline ? 'bg-orange-500/10 text-orange-400 border-orange-500/30'
+                  : 'bg-white/5 text-slate-400 border-white/10 hover:bg-white/10'}`}
+            >
+              {failedSyncs.length > 0 ? <><AlertTriangle size={13} /> SYNC FAILED</>
+                : !isOnline ? <><WifiOff size={13} /> OFFLINE{syncQueue.length > 0 && ` · ${syncQueue.length} QUEUED`}</>
+                : isSyncing ? <><Loader2 size={13} className="animate-spin" /> SYNCING</>
+                : syncQueue.length > 0 ? <><RefreshCw size={13} /> {syncQueue.length} PENDING</>
+                : <><CheckCircle2 size={13} /> SYNCED</>}
+            </button>
+            {showSyncPanel && (
+              <div className="absolute right-0 top-full mt-2 w-80 bg-white rounded-2xl shadow-2xl border border-slate-100 p-4 z-50">
+                <div className="flex justify-between items-center mb-3">
+                  <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                    {isOnline ? 'Online' : 'Offline · Saves queue on this device'}
+                  </span>
+                  <button onClick={() => setShowSyncPanel(false)} className="text-slate-300 hover:text-slate-600"><X size={12} /></button>
+                </div>
+                {syncQueue.length === 0 ? (
+                  <p className="text-[10px] font-bold text-slate-300 uppercase tracking-widest">Everything is saved</p>
+                ) : (
+                  <div className="space-y-2 max-h-60 overflow-y-auto custom-scrollbar">
+                    {syncQueue.map(e => (
+                      <div key={e.key} className="text-[11px]">
+                        <div className="flex justify-between font-bold text-slate-900">
+                          <span className="truncate">{e.label}</span>
+                          <span className={`text-[9px] font-black uppercase tracking-widest ${e.attempts >= MAX_SYNC_ATTEMPTS ? 'text-red-500' : 'text-slate-400'}`}>
+                            {e.attempts >= MAX_SYNC_ATTEMPTS ? 'Failed' : e.attempts > 0 ? `Retry ${e.attempts}/${MAX_SYNC_ATTEMPTS}` : 'Queued'}
+                          </span>
+                        </div>
+                        {e.lastError && <div className="text-[9px] font-bold text-red-400 truncate" title={e.lastError}>{e.lastError}</div>}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {syncQueue.length > 0 && (
+                  <div className="mt-4 flex gap-2">
+                    <button
+                      onClick={retrySync}
+                      disabled={!isOnline || isSyncing}
+                      className="flex-1 flex items-center justify-center gap-1.5 py-2 bg-slate-950 text-white rounded-lg text-[9px] font-black uppercase tracking-widest hover:bg-slate-800 disabled:opacity-30"
+                    >
+                      <RefreshCw size={11} /> Retry Now
+                    </button>
+                    {failedSyncs.length > 0 && (
+                      <button
+                        onClick={discardFailedSyncs}
+                        className="px-3 py-2 bg-red-50 text-red-600 rounded-lg text-[9px] font-black uppercase tracking-widest hover:bg-red-100"
+                      >
+                        Discard Failed
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+          <button 
+            onClick={() => { setDatasetName(activeDataset?.name || ''); setShowDatasets(true); }}
+            className="flex items-center gap-2 px-4 py-2.5 bg-white/5 text-slate-300 rounded-lg text-[11px] font-black tracking-widest hover:bg-white/10 border border-white/10 transition-all"
+          >
+            <Database size={14} />
+            {activeDataset ? datasetLabel(activeDataset).toUpperCase() : 'DATASETS'}
+            {poolDirty && <span className="w-1.5 h-1.5 rounded-full bg-orange-500" title="Pool has unsaved changes" />}
+          </button>
+          <div className="flex items-center gap-2 bg-white/5 px-3 rounded-lg border border-white/10">
+            <Calendar size={14} className="text-slate-400" />
+            <select
+              className="py-2.5 bg-transparent text-[11px] font-black tracking-widest outline-none text-slate-300 cursor-pointer"
+              value={season}
+              onChange={(e) => setSeason(Number(e.target.value))}
+            >
+              {seasons.map(yr => <option key={yr} value={yr} className="text-slate-900">{yr} SEASON</option>)}
+            </select>
+          </div>
+          <button 
+            onClick={() => setShowLibrary(true)}
+            disabled={!user}
+            className="flex items-center gap-2 px-4 py-2.5 bg-white/5 text-slate-300 rounded-lg text-[11px] font-black tracking-widest hover:bg-white/10 border border-white/10 disabled:opacity-30 transition-all"
+          >
+            <Library size={14} /> MY ROSTERS
+          </button>
+          <button 
+            onClick={() => setShowTrade(true)}
+            disabled={teams.length < 2 && !sharedTrade}
+            className="flex items-center gap-2 px-4 py-2.5 bg-white/5 text-slate-300 rounded-lg text-[11px] font-black tracking-widest hover:bg-white/10 border border-white/10 disabled:opacity-30 transition-all"
+          >
+            <ArrowLeftRight size={14} /> TRADE MACHINE
+          </button>
           <button 
             onClick={() => setShowImport(true)}
             className="flex items-center gap-2 px-5 py-2.5 bg-white text-slate-950 rounded-lg text-[11px] font-black tracking-widest hover:bg-slate-100 transition-all"
@@ -229,8 +1280,9 @@ const App = () => {
             <FileSpreadsheet size={14} /> IMPORT DATA
           </button>
           <button 
-            onClick={() => { if (window.confirm('Clear current roster?')) setLineup([]); }}
+            onClick={handleClearRoster}
             className="p-2.5 text-slate-400 hover:text-white transition-colors bg-white/5 rounded-lg border border-white/10"
+            title="Clear roster"
           >
             <Trash2 size={18} />
           </button>
@@ -238,6 +1290,20 @@ const App = () => {
       </nav>
 
       <main className="max-w-[1550px] mx-auto p-8 grid grid-cols-12 gap-8">
+        {/* Share Link Errors */}
+        {shareLinkError && (
+          <div className="col-span-12 flex items-center gap-3 p-4 bg-red-50 border border-red-100 rounded-2xl">
+            {shareLinkError.kind === 'missing' || shareLinkError.kind === 'corrupt' ? <AlertTriangle size={18} className="text-red-500" /> : <Link2Off size={18} className="text-red-500" />}
+            <div>
+              <div className="text-[10px] font-black text-red-600 uppercase tracking-widest">
+                {{ missing: 'Roster Not Found', corrupt: 'Corrupt Link', expired: 'Link Expired', revoked: 'Link Revoked', unsupported: 'Unsupported Roster' }[shareLinkError.kind] || 'Could Not Open Link'}
+              </div>
+              <div className="text-[11px] font-bold text-red-500">{shareLinkError.message}</div>
+            </div>
+            <button onClick={dismissShareLinkError} className="ml-auto p-1.5 text-red-300 hover:text-red-600"><X size={14} /></button>
+          </div>
+        )}
+
         <div className="col-span-12 lg:col-span-7 space-y-6">
           <div className="bg-white rounded-3xl p-8 shadow-[0_4px_20px_rgba(0,0,0,0.03)] border border-slate-100">
             
@@ -254,93 +1320,253 @@ const App = () => {
                 />
               </div>
               <div className="flex flex-wrap items-center gap-3">
-                <div className="flex items-center gap-2 bg-slate-50 px-4 rounded-xl border border-slate-100">
-                  <Filter size={14} className="text-slate-400" />
-                  <select 
-                    className="py-3 bg-transparent text-[10px] font-black uppercase tracking-wider outline-none text-slate-600 cursor-pointer"
-                    value={posFilter}
-                    onChange={(e) => {setPosFilter(e.target.value); setCurrentPage(1);}}
+                <FilterMultiSelect
+                  icon={Filter}
+                  allLabel="All Positions"
+                  options={POSITIONS}
+                  selected={posFilters}
+                  onChange={(next) => {setPosFilters(next); setCurrentPage(1);}}
+                />
+
+                <FilterMultiSelect
+                  icon={Users}
+                  allLabel="All Teams"
+                  options={teams}
+                  selected={teamFilters}
+                  onChange={(next) => {setTeamFilters(next); setCurrentPage(1);}}
+                />
+
+                {teamFilters.length === 1 && !sharedView && (
+                  <button
+                    onClick={() => handleLoadTeam(teamFilters[0])}
+                    className="flex items-center gap-2 px-4 py-3 bg-slate-950 text-white rounded-xl text-[10px] font-black uppercase tracking-wider hover:bg-orange-600 transition-all"
                   >
-                    <option value="All">All Positions</option>
-                    {POSITIONS.map(pos => <option key={pos} value={pos}>{pos}</option>)}
-                  </select>
-                </div>
+                    <Download size={14} /> Load {teamFilters[0]}
+                  </button>
+                )}
+
+                {activeGap && (
+                  <button
+                    onClick={() => setGapFilter(null)}
+                    className="flex items-center gap-2 px-4 py-3 bg-red-50 text-red-600 rounded-xl border border-red-100 text-[10px] font-black uppercase tracking-wider hover:bg-red-100 transition-all"
+                    title="Showing only players who can play this position"
+                  >
+                    Fills {activeGap.bucket} Gap <X size={12} />
+                  </button>
+                )}
 
                 <div className="flex items-center gap-2 bg-slate-50 px-4 rounded-xl border border-slate-100">
-                  <Users size={14} className="text-slate-400" />
+                  <FileSpreadsheet size={14} className="text-slate-400" />
                   <select 
                     className="py-3 bg-transparent text-[10px] font-black uppercase tracking-wider outline-none text-slate-600 cursor-pointer"
-                    value={teamFilter}
-                    onChange={(e) => {setTeamFilter(e.target.value); setCurrentPage(1);}}
+                    value={statusFilter}
+                    onChange={(e) => {setStatusFilter(e.target.value); setCurrentPage(1);}}
                   >
-                    <option value="All">All Teams</option>
-                    {teams.map(team => <option key={team} value={team}>{team}</option>)}
+                    <option value="All">All Statuses</option>
+                    {Object.entries(CONTRACT_STATUSES).map(([key, status]) => <option key={key} value={key}>{status.label}</option>)}
                   </select>
                 </div>
 
+                <button
+                  onClick={() => setShowTablePanel(!showTablePanel)}
+                  className={`flex items-center gap-2 px-4 py-3 rounded-xl border text-[10px] font-black uppercase tracking-wider transition-all ${showTablePanel ? 'bg-slate-950 text-white border-slate-950' : 'bg-slate-50 text-slate-600 border-slate-100 hover:bg-slate-100'}`}
+                >
+                  <SlidersHorizontal size={14} /> Columns & Ranges
+                  {rangeFilters.length > 0 && <span className="px-1.5 rounded bg-orange-500 text-white">{rangeFilters.length}</span>}
+                </button>
+
                 <div className="flex items-center gap-3 ml-auto">
-                   <div className="flex items-center gap-4 bg-slate-50 px-3 py-2 rounded-lg border border-slate-100 text-[9px] font-bold text-slate-400 uppercase tracking-tighter">
-                      <span className="flex items-center gap-1"><div className="w-2 h-2 rounded-full bg-blue-500"></div> UFA</span>
-                      <span className="flex items-center gap-1"><div className="w-2 h-2 rounded-full bg-purple-500"></div> Core</span>
-                      <span className="flex items-center gap-1"><div className="w-2 h-2 rounded-full bg-orange-500"></div> RFA</span>
+                   <div className="flex flex-wrap items-center gap-x-4 gap-y-1 bg-slate-50 px-3 py-2 rounded-lg border border-slate-100 text-[9px] font-bold text-slate-400 uppercase tracking-tighter">
+                      {Object.entries(CONTRACT_STATUSES).filter(([key]) => key !== 'UNKNOWN').map(([key, status]) => (
+                        <span key={key} className="flex items-center gap-1" title={status.rule}>
+                          <div className={`w-2 h-2 rounded-full ${status.dot}`}></div> {status.legend}
+                        </span>
+                      ))}
                    </div>
                 </div>
               </div>
             </div>
 
-            {/* Athlete Table */}
-            <div className="overflow-x-auto min-h-[600px]">
-              <table className="w-full">
-                <thead>
-                  <tr className="text-[10px] font-black text-slate-400 uppercase tracking-[0.15em] border-b border-slate-50">
-                    <th className="pb-4 text-left">Athlete Name</th>
-                    <th className="pb-4 text-center">Contract</th>
-                    <th className="pb-4 text-left">Pos</th>
-                    <th className="pb-4 text-left">Salary</th>
-                    <th className="pb-4 text-center">TS% Pctl</th>
-                    <th className="pb-4 text-center">Def Pctl</th>
-                    <th className="pb-4"></th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-slate-50">
-                  {paginatedPlayers.length > 0 ? (
-                    paginatedPlayers.map(p => (
-                      <tr key={p.athlete_id} className="group hover:bg-slate-50 transition-all">
-                        <td className="py-4">
-                          <div className="font-bold text-sm text-slate-900">{p.player}</div>
-                          <div className="text-[10px] font-bold text-slate-400 uppercase tracking-tight">{p.team}</div>
-                        </td>
-                        <td className="py-4 text-center">
-                          <ContractTag type={p.contract_type} />
-                        </td>
+            {/* Table Layout & Range Filters */}
+            {showTablePanel && (
+              <div className="mb-8 p-5 bg-slate-50 rounded-2xl border border-slate-100 space-y-5">
+                <div>
+                  <div className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2">Columns</div>
+                  <div className="flex flex-wrap gap-1.5">
+                    {availableColumns.map(c => (
+                      <button
+                        key={c.key}
+                        onClick={() => toggleColumn(c.key)}
+                        className={`px-2.5 py-1 rounded-lg border text-[10px] font-bold transition-all ${tableLayout.columns.includes(c.key) ? 'bg-slate-950 text-white border-slate-950' : 'bg-white text-slate-500 border-slate-200 hover:border-slate-400'}`}
+                      >
+                        {c.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Range Filters</span>
+                    <button
+                      onClick={() => setRangeFilters([...rangeFilters, { id: crypto.randomUUID(), key: 'salary', min: '', max: '' }])}
+                      className="flex items-center gap-1 text-[9px] font-black uppercase tracking-widest text-slate-500 hover:text-slate-900"
+                    >
+                      <Plus size={11} /> Add Range
+                    </button>
+                  </div>
+                  {rangeFilters.length === 0 ? (
+                    <p className="text-[10px] font-bold text-slate-300 uppercase tracking-widest">No range filters</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {rangeFilters.map(f => (
+                        <div key={f.id} className="flex items-center gap-2">
+                          <select
+                            className="flex-1 py-2 px-2 bg-white rounded-lg border border-slate-200 text-[10px] font-bold outline-none"
+                            value={f.key}
+                            onChange={(e) => updateRangeFilter(f.id, { key: e.target.value })}
+                          >
+                            {availableColumns.filter(c => c.numeric).map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                          </select>
+                          <input
+                            type="number"
+                            placeholder="Min"
+                            className="w-24 py-2 px-2 bg-white rounded-lg border border-slate-200 text-[10px] font-mono font-bold outline-none"
+                            value={f.min}
+                            onChange={(e) => updateRangeFilter(f.id, { min: e.target.value })}
+                          />
+                          <span className="text-slate-300">–</span>
+                          <input
+                            type="number"
+                            placeholder="Max"
+                            className="w-24 py-2 px-2 bg-white rounded-lg border border-slate-200 text-[10px] font-mono font-bold outline-none"
+                            value={f.max}
+                            onChange={(e) => updateRangeFilter(f.id, { max: e.target.value })}
+                          />
+                          <span className="w-12 text-[9px] font-bold text-slate-400 uppercase">{isPercentileField(f.key) ? 'Pctl' : f.key === 'salary' ? `$ '${String(season).slice(2)}` : ''}</span>
+                          <button onClick={() => { setRangeFilters(rangeFilters.filter(r => r.id !== f.id)); setCurrentPage(1); }} className="p-1 text-slate-300 hover:text-red-500">
+                            <X size={12} />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <div className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2">Saved Layouts</div>
+                  <div className="flex flex-wrap items-center gap-1.5 mb-2">
+                    <button
+                      onClick={() => setTableLayout(DEFAULT_TABLE_LAYOUT)}
+                      className="px-2.5 py-1 rounded-lg border border-slate-200 bg-white text-[10px] font-bold text-slate-500 hover:border-slate-400"
+                    >
+                      Default
+                    </button>
+                    {tableLayouts.map(l => (
+                      <span key={l.name} className="flex items-center rounded-lg border border-slate-200 bg-white">
+                        <button onClick={() => setTableLayout({ columns: l.columns, sort: l.sort || null })} className="pl-2.5 pr-1 py-1 text-[10px] font-bold text-slate-700 hover:text-orange-600">
+                          {l.name}
+                        </button>
+                        <button onClick={() => persistTableLayouts(tableLayouts.filter(x => x.name !== l.name))} className="pr-1.5 text-slate-300 hover:text-red-500" title="Delete layout">
+                          <X size={10} />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      placeholder="Layout name"
+                      className="flex-1 py-2 px-3 bg-white rounded-lg border border-slate-200 text-[11px] font-medium outline-none"
+                      value={layoutName}
+                      onChange={(e) => setLayoutName(e.target.value)}
+                    />
+                    <button
+                      onClick={handleSaveLayout}
+                      disabled={!user || !layoutName.trim()}
+                      className="px-4 bg-slate-950 text-white rounded-lg text-[9px] font-black uppercase tracking-widest hover:bg-slate-800 disabled:opacity-30"
+                    >
+                      Save Layout
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Athlete Table */}
+            <div className="overflow-x-auto min-h-[600px]">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-[10px] font-black text-slate-400 uppercase tracking-[0.15em] border-b border-slate-50">
+                    {[{ key: 'player', label: 'Athlete Name' }, ...visibleColumns].map(c => (
+                      <th key={c.key} className={`pb-4 ${c.align === 'center' || c.percentile ? 'text-center' : 'text-left'}`}>
+                        <button onClick={() => toggleSort(c)} className="inline-flex items-center gap-1 uppercase tracking-[0.15em] hover:text-slate-900">
+                          {c.key === 'salary' ? `Salary '${String(season).slice(2)}` : c.label}
+                          {tableLayout.sort?.key === c.key
+                            ? (tableLayout.sort.dir === 'asc' ? <ArrowUp size={10} className="text-slate-900" /> : <ArrowDown size={10} className="text-slate-900" />)
+                            : <ArrowUpDown size={10} className="opacity-30" />}
+                        </button>
+                      </th>
+                    ))}
+                    <th className="pb-4"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-50">
+                  {paginatedPlayers.length > 0 ? (
+                    paginatedPlayers.map(p => (
+                      <tr key={p.athlete_id} className="group hover:bg-slate-50 transition-all">
                         <td className="py-4">
-                          <span className="text-[10px] font-black px-2 py-1 bg-slate-100 text-slate-600 rounded">
-                            {p.position}
-                          </span>
-                        </td>
-                        <td className="py-4 font-mono text-xs font-bold text-slate-500">
-                          ${p.salary_2025_num?.toLocaleString() || '---'}
-                        </td>
-                        <td className="py-4 text-center">
-                          <PercentBadge value={p.ts_pctile_pos} />
-                        </td>
-                        <td className="py-4 text-center">
-                          <PercentBadge value={p.def_efg_pctile_pos} />
+                          <div className="font-bold text-sm text-slate-900">{p.player}</div>
+                          <div className="text-[10px] font-bold text-slate-400 uppercase tracking-tight">{p.team}</div>
                         </td>
+                        {visibleColumns.map(c => (
+                          <td key={c.key} className={`py-4 ${c.align === 'center' || c.percentile ? 'text-center' : ''}`}>
+                            {c.key === 'contract' ? (
+                              <ContractTag type={p.contract_type} />
+                            ) : c.key === 'position' ? (
+                              <span className="text-[10px] font-black px-2 py-1 bg-slate-100 text-slate-600 rounded">
+                                {p.position}
+                              </span>
+                            ) : c.key === 'salary' ? (
+                              <span className="font-mono text-xs font-bold text-slate-500">${salaryFor(p, season)?.toLocaleString() || '---'}</span>
+                            ) : c.percentile ? (
+                              <PercentBadge value={columnValue(p, c.key, season, valueModel.byId)} />
+                            ) : (
+                              <CellNumber value={columnValue(p, c.key, season, valueModel.byId)} column={c} />
+                            )}
+                          </td>
+                        ))}
                         <td className="py-4 text-right">
-                          <button 
-                            onClick={() => setLineup([...lineup, p])}
-                            disabled={lineup.length >= 12}
-                            className="p-2.5 bg-slate-950 text-white rounded-lg opacity-0 group-hover:opacity-100 transition-all disabled:opacity-0 hover:bg-orange-600 shadow-xl"
-                          >
-                            <Plus size={16} />
-                          </button>
+                          <div className="flex items-center justify-end gap-1.5">
+                            <button
+                              onClick={() => setSimilarTarget({ player: p, mode: 'add' })}
+                              className="p-2 rounded-lg text-slate-300 opacity-0 group-hover:opacity-100 hover:text-slate-900 transition-all"
+                              title="Find similar players"
+                            >
+                              <Target size={14} />
+                            </button>
+                            <button
+                              onClick={() => toggleId(excludedIds, setExcludedIds, p.athlete_id)}
+                              className={`p-2 rounded-lg transition-all ${excludedIds.includes(p.athlete_id) ? 'text-red-500 bg-red-50' : 'text-slate-300 opacity-0 group-hover:opacity-100 hover:text-red-500'}`}
+                              title={excludedIds.includes(p.athlete_id) ? 'Allow in Auto-Build' : 'Exclude from Auto-Build'}
+                            >
+                              <Ban size={14} />
+                            </button>
+                            <button 
+                              onClick={() => editLineup({ type: 'add', player: p })}
+                              disabled={lineup.length >= capRules.roster.max || !!sharedView}
+                              className="p-2.5 bg-slate-950 text-white rounded-lg opacity-0 group-hover:opacity-100 transition-all disabled:opacity-0 hover:bg-orange-600 shadow-xl"
+                              title="Add to roster"
+                            >
+                              <Plus size={16} />
+                            </button>
+                          </div>
                         </td>
                       </tr>
                     ))
                   ) : (
                     <tr>
-                      <td colSpan="7" className="py-24 text-center">
+                      <td colSpan={visibleColumns.length + 2} className="py-24 text-center">
                         <div className="bg-slate-50 w-16 h-16 rounded-2xl flex items-center justify-center mx-auto mb-4 border border-slate-100">
                           <Layout className="text-slate-200" size={24} />
                         </div>
@@ -355,7 +1581,7 @@ const App = () => {
             {/* Pagination Controls */}
             <div className="mt-8 pt-6 border-t border-slate-50 flex items-center justify-between">
               <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
-                Showing {Math.min(filteredPlayers.length, (currentPage - 1) * ITEMS_PER_PAGE + 1)}-{Math.min(filteredPlayers.length, currentPage * ITEMS_PER_PAGE)} of {filteredPlayers.length}
+                Showing {pageRange(filteredPlayers.length, currentPage).join('-')} of {filteredPlayers.length}
               </p>
               <div className="flex items-center gap-2">
                 <button 
@@ -393,6 +1619,15 @@ const App = () => {
               </div>
             </div>
           </div>
+
+          {valueModel.ready && (
+            <ValueScatter
+              players={players}
+              values={valueModel.byId}
+              lineupIds={new Set(lineup.map(p => p.athlete_id))}
+              season={season}
+            />
+          )}
         </div>
 
         <div className="col-span-12 lg:col-span-5 space-y-6">
@@ -403,19 +1638,329 @@ const App = () => {
                 <h2 className="text-xs font-black uppercase tracking-[0.1em] text-slate-900">Roster Capacity</h2>
               </div>
               <div className="flex items-center gap-2">
-                <button 
-                  onClick={handleSaveAndShare}
-                  disabled={lineup.length === 0 || isSaving}
-                  className="flex items-center gap-2 px-3 py-1.5 bg-orange-500 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-all shadow-lg shadow-orange-500/10"
+                <button
+                  onClick={() => setShowOptimizer(true)}
+                  disabled={players.length === 0 || !!sharedView}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-slate-950 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-slate-800 disabled:opacity-30 transition-all"
                 >
-                  {isSaving ? 'Saving...' : <><Share2 size={12} /> Save & Share</>}
+                  <Sparkles size={12} /> Auto-Build
                 </button>
-                <span className={`text-[10px] font-black px-3 py-1.5 rounded-lg border ${lineup.length === 12 ? 'bg-orange-50 text-orange-600 border-orange-100' : 'bg-slate-50 text-slate-400 border-slate-100'}`}>
-                  {lineup.length}/12
+                {sharedView && (
+                  <button
+                    onClick={handleFork}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-orange-500 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-orange-600 transition-all shadow-lg shadow-orange-500/10"
+                  >
+                    <GitFork size={12} /> Fork to Edit
+                  </button>
+                )}
+                {(compliance.compliant || capOverride) && currentRoster && (
+                  <button
+                    onClick={() => handleSaveAndShare({ asCopy: true })}
+                    disabled={lineup.length === 0}
+                    className="px-3 py-1.5 bg-slate-50 text-slate-500 text-[10px] font-black uppercase tracking-widest rounded-lg border border-slate-100 hover:bg-slate-100 disabled:opacity-50 transition-all"
+                  >
+                    Save Copy
+                  </button>
+                )}
+                {(compliance.compliant || capOverride) && !sharedView && (
+                  <button 
+                    onClick={() => handleSaveAndShare()}
+                    disabled={lineup.length === 0}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-orange-500 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-all shadow-lg shadow-orange-500/10"
+                  >
+                    <Share2 size={12} /> Save & Share
+                  </button>
+                )}
+                <div className="flex items-center">
+                  <button
+                    onClick={() => goToStep(rosterHistory.cursor - 1)}
+                    disabled={!canUndo}
+                    className="p-1.5 text-slate-400 hover:text-slate-900 disabled:opacity-30 transition-colors"
+                    title="Undo (Ctrl+Z)"
+                  >
+                    <Undo2 size={14} />
+                  </button>
+                  <button
+                    onClick={() => goToStep(rosterHistory.cursor + 1)}
+                    disabled={!canRedo}
+                    className="p-1.5 text-slate-400 hover:text-slate-900 disabled:opacity-30 transition-colors"
+                    title="Redo (Ctrl+Shift+Z)"
+                  >
+                    <Redo2 size={14} />
+                  </button>
+                </div>
+                <span className={`text-[10px] font-black px-3 py-1.5 rounded-lg border ${lineup.length === capRules.roster.max ? 'bg-orange-50 text-orange-600 border-orange-100' : 'bg-slate-50 text-slate-400 border-slate-100'}`}>
+                  {lineup.length}/{capRules.roster.max}
                 </span>
               </div>
             </div>
 
+            {/* Shared (Read-Only) View */}
+            {sharedView && (
+              <div className="mb-4 flex items-center gap-2 p-3 bg-sky-50 border border-sky-100 rounded-xl text-[10px] font-bold text-sky-700">
+                <Eye size={14} />
+                Viewing shared roster by Analyst {participantLabel(sharedView.owner)} · Read-only until you fork it
+              </div>
+            )}
+
+            <div className="mb-4 space-y-2">
+              <input
+                type="text"
+                placeholder="Untitled Roster"
+                readOnly={!!sharedView}
+                className="w-full bg-transparent text-base font-black text-slate-950 placeholder:text-slate-300 outline-none"
+                value={rosterTitle}
+                onChange={(e) => setRosterTitle(e.target.value)}
+              />
+              <textarea
+                rows={2}
+                readOnly={!!sharedView}
+                placeholder="Notes..."
+                className="w-full bg-slate-50 border border-slate-100 rounded-xl px-3 py-2 text-[11px] text-slate-600 focus:outline-none focus:bg-white resize-none transition-all"
+                value={rosterNotes}
+                onChange={(e) => setRosterNotes(e.target.value)}
+              />
+              <div className="flex items-center justify-between text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                {currentRoster ? 'Saved roster · Save updates in place' : sharedView ? 'Shared roster' : 'New roster · Not yet saved'}
+                {currentRoster && !liveRosterId && (
+                  <button onClick={handleGoLive} className="flex items-center gap-1 font-black text-slate-500 hover:text-orange-600 transition-colors">
+                    <Radio size={11} /> Go Live
+                  </button>
+                )}
+              </div>
+              {!sharedView && (
+                <div className="flex items-center justify-between text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                  <select
+                    className="bg-transparent font-black uppercase tracking-widest outline-none cursor-pointer"
+                    value={linkExpiryDays ?? (currentRoster?.expiresAt ? 'keep' : 0)}
+                    onChange={(e) => setLinkExpiryDays(e.target.value === 'keep' ? null : Number(e.target.value))}
+                    title="Applies on next save"
+                  >
+                    {currentRoster?.expiresAt && (
+                      <option value="keep">
+                        {expiryDate(currentRoster.expiresAt) <= new Date() ? 'Expired' : 'Expires'} {expiryDate(currentRoster.expiresAt).toLocaleDateString()}
+                      </option>
+                    )}
+                    {LINK_EXPIRY_OPTIONS.map(o => <option key={o.days} value={o.days}>{o.label}</option>)}
+                  </select>
+                  {currentRoster && (
+                    <button
+                      onClick={handleToggleRevoke}
+                      className={`flex items-center gap-1 font-black transition-colors ${currentRoster.revoked ? 'text-red-500 hover:text-slate-600' : 'text-slate-500 hover:text-red-500'}`}
+                    >
+                      <Link2Off size={11} /> {currentRoster.revoked ? 'Link Revoked · Restore' : 'Revoke Link'}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Scenarios */}
+            {(scenarioTree || (!sharedView && !liveRosterId)) && (
+              <div className="mb-6 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                <div className="flex justify-between items-center text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                  <span className="flex items-center gap-1.5"><GitBranch size={12} /> Scenarios</span>
+                  {scenarioTree && (
+                    <button onClick={() => setShowScenarioSummary(!showScenarioSummary)} className="flex items-center gap-1 hover:text-slate-900 transition-colors">
+                      <Columns size={11} /> {showScenarioSummary ? 'Hide Summary' : 'Summary'}
+                    </button>
+                  )}
+                </div>
+                {scenarioRows && (
+                  <div className="mt-3 space-y-0.5">
+                    {scenarioRows.map(({ scenario, depth, payroll }) => (
+                      <div
+                        key={scenario.id}
+                        className={`flex items-center gap-2 px-2 py-1 rounded-lg text-[11px] group/scenario ${scenario.id === scenarioTree.activeId ? 'bg-white border border-slate-200' : ''}`}
+                        style={{ paddingLeft: `${8 + depth * 14}px` }}
+                      >
+                        {depth > 0 && <CornerDownRight size={10} className="text-slate-300 shrink-0" />}
+                        <button
+                          onClick={() => handleSwitchScenario(scenario.id)}
+                          disabled={!!liveRosterId}
+                          className={`flex-1 text-left font-bold truncate ${scenario.id === scenarioTree.activeId ? 'text-slate-950' : 'text-slate-500 hover:text-orange-600'}`}
+                        >
+                          {scenario.name}
+                        </button>
+                        <span className="font-mono text-[9px] text-slate-400">{formatMoney(payroll)}</span>
+                        {depth > 0 && !sharedView && !liveRosterId && (
+                          <button
+                            onClick={() => handleRemoveScenario(scenario.id)}
+                            className="text-slate-300 hover:text-red-500 opacity-0 group-hover/scenario:opacity-100 transition-opacity"
+                            title="Delete this scenario and its branches"
+                          >
+                            <X size={11} />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {!sharedView && !liveRosterId && (scenarioTree?.items.length || 0) < MAX_SCENARIOS && (
+                  <div className="mt-3 flex gap-2">
+                    <input
+                      type="text"
+                      placeholder={scenarioTree ? `Branch from "${scenarioTree.items.find(s => s.id === scenarioTree.activeId).name}"...` : 'Name a what-if, e.g. Sign X...'}
+                      className="flex-1 px-3 py-1.5 bg-white border border-slate-100 rounded-lg text-[11px] font-bold text-slate-700 outline-none focus:border-slate-300"
+                      value={scenarioName}
+                      onChange={(e) => setScenarioName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleBranchScenario()}
+                    />
+                    <button
+                      onClick={handleBranchScenario}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-slate-950 text-white text-[9px] font-black uppercase tracking-widest rounded-lg hover:bg-slate-800 transition-all"
+                    >
+                      <GitBranch size={11} /> Branch
+                    </button>
+                  </div>
+                )}
+                {showScenarioSummary && scenarioRows && (
+                  <div className="mt-4 overflow-x-auto">
+                    <table className="w-full text-left">
+                      <thead>
+                        <tr className="text-[8px] font-black text-slate-400 uppercase tracking-widest border-b border-slate-200">
+                          <th className="py-1.5">Scenario</th>
+                          <th className="py-1.5 text-right">Payroll</th>
+                          <th className="py-1.5 text-right">Cap Room</th>
+                          {STAT_METRICS.map(m => <th key={m.key} className="py-1.5 text-right">{m.short}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-100">
+                        {scenarioRows.map(({ scenario, depth, payroll, capRoom, stats, deltas, payrollDelta }) => (
+                          <tr key={scenario.id} className="text-[10px]">
+                            <td className="py-1.5 pr-2" style={{ paddingLeft: `${depth * 10}px` }}>
+                              <input
+                                className="w-full bg-transparent font-bold text-slate-800 outline-none focus:text-orange-600"
+                                value={scenario.name}
+                                readOnly={!!sharedView}
+                                onChange={(e) => handleRenameScenario(scenario.id, e.target.value)}
+                              />
+                            </td>
+                            <td className="py-1.5 text-right font-mono font-bold text-slate-700">
+                              {depth === 0 ? formatMoney(payroll) : payrollDelta === 0 ? '—' : (
+                                <span className={payrollDelta > 0 ? 'text-red-500' : 'text-green-600'}>{formatSignedMoney(payrollDelta)}</span>
+                              )}
+                            </td>
+                            <td className={`py-1.5 text-right font-mono font-bold ${capRoom < 0 ? 'text-red-500' : 'text-slate-500'}`}>{formatMoney(capRoom)}</td>
+                            {STAT_METRICS.map(m => {
+                              const delta = Math.round(deltas[m.key] * 100);
+                              return (
+                                <td key={m.key} className="py-1.5 text-right font-mono font-bold">
+                                  {depth === 0 ? (
+                                    <span className="text-slate-700">{stats ? Math.round(stats[m.key] * 100) : 0}</span>
+                                  ) : (
+                                    <span className={delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-500' : 'text-slate-300'}>{delta > 0 ? '+' : ''}{delta}</span>
+                                  )}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="mt-2 text-[8px] font-bold text-slate-400 uppercase tracking-widest">Branches show changes against the base</p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Live Session */}
+            {liveRosterId && (
+              <div className="mb-6 p-4 bg-green-50/60 rounded-2xl border border-green-100">
+                <div className="flex justify-between items-center">
+                  <span className="flex items-center gap-2 text-[10px] font-black text-green-700 uppercase tracking-widest">
+                    <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" /> Live
+                  </span>
+                  <div className="flex items-center gap-3">
+                    <div className="flex -space-x-1.5">
+                      {activeParticipants.map(pr => (
+                        <span
+                          key={pr.uid}
+                          title={pr.uid === user?.uid ? 'You' : `Participant ${participantLabel(pr.uid)}`}
+                          className={`w-6 h-6 rounded-full border-2 border-white flex items-center justify-center text-[7px] font-black text-white ${participantColor(pr.uid)}`}
+                        >
+                          {participantLabel(pr.uid).slice(0, 2)}
+                        </span>
+                      ))}
+                    </div>
+                    <button onClick={handleEndLive} className="text-[9px] font-black uppercase tracking-widest text-green-700 hover:text-red-600">
+                      {currentRoster?.id === liveRosterId ? 'End Session' : 'Leave'}
+                    </button>
+                  </div>
+                </div>
+                {liveHistory.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-green-100 space-y-1 max-h-32 overflow-y-auto custom-scrollbar">
+                    <div className="flex items-center gap-1.5 text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                      <History size={10} /> Change History
+                    </div>
+                    {[...liveHistory].reverse().map((h, i) => (
+                      <div key={`${h.at}-${i}`} className="flex justify-between items-center text-[10px]">
+                        <span className={`font-bold ${h.type === 'add' ? 'text-green-600' : h.type === 'remove' ? 'text-red-500' : 'text-slate-600'}`}>
+                          {h.type === 'add' ? '+ ' : h.type === 'remove' ? '− ' : ''}{h.label}
+                        </span>
+                        <span className="flex items-center gap-1.5 font-mono text-[9px] text-slate-400">
+                          <span className={`w-1.5 h-1.5 rounded-full ${participantColor(h.by)}`} />
+                          {h.by === user?.uid ? 'You' : participantLabel(h.by)} · {new Date(h.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            {liveError && (
+              <div className="mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+                <AlertTriangle size={14} /> {liveError}
+                <button onClick={() => setLiveError('')} className="ml-auto text-red-300 hover:text-red-600"><X size={12} /></button>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2 mb-6 text-[9px] font-black uppercase tracking-widest text-slate-400">
+              Building For
+              <select
+                className="py-1.5 px-2 bg-slate-50 rounded-lg border border-slate-100 text-[9px] font-black uppercase tracking-wider outline-none text-slate-600 cursor-pointer"
+                value={rosterTeam}
+                onChange={(e) => setRosterTeam(e.target.value)}
+              >
+                <option value="">No Franchise</option>
+                {teams.map(team => <option key={team} value={team}>{team}</option>)}
+              </select>
+            </div>
+
+            {/* Export */}
+            <div className="flex items-center gap-1 mb-6 text-[9px] font-black uppercase tracking-widest text-slate-400">
+              <span className="mr-1">Export</span>
+              {[
+                { label: 'CSV', icon: FileDown, onClick: handleExportCsv },
+                { label: 'JSON', icon: FileJson, onClick: handleExportJson },
+                { label: 'Report', icon: Printer, onClick: () => setShowReport(true) },
+                { label: 'Card', icon: Image, onClick: handleExportCard },
+              ].map(({ label, icon: Icon, onClick }) => (
+                <button
+                  key={label}
+                  onClick={onClick}
+                  disabled={lineup.length === 0}
+                  className="flex items-center gap-1 px-2 py-1.5 rounded-lg border border-slate-100 text-slate-500 hover:bg-slate-50 hover:text-slate-900 disabled:opacity-30 transition-all"
+                >
+                  <Icon size={11} /> {label}
+                </button>
+              ))}
+              <button
+                onClick={() => rosterFileRef.current?.click()}
+                className="ml-auto flex items-center gap-1 px-2 py-1.5 rounded-lg text-slate-500 hover:text-orange-600 transition-all"
+                title="Restore a roster from an exported JSON file"
+              >
+                <Upload size={11} /> Open File
+              </button>
+              <input ref={rosterFileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImportRosterFile} />
+            </div>
+            {rosterFileError && (
+              <div className="-mt-4 mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+                <AlertTriangle size={14} /> {rosterFileError}
+                <button onClick={() => setRosterFileError('')} className="ml-auto text-red-300 hover:text-red-600"><X size={12} /></button>
+              </div>
+            )}
+
             {/* Share URL Modal/Section */}
             {shareUrl && (
               <div className="mb-6 p-4 bg-slate-950 rounded-2xl animate-in slide-in-from-top-4 duration-300">
@@ -436,6 +1981,15 @@ const App = () => {
                     {copySuccess ? <Check size={14} className="text-green-600" /> : <Copy size={14} />}
                   </button>
                 </div>
+                <p className="mt-2 text-[9px] font-bold text-slate-500 flex items-center gap-1.5">
+                  <Database size={10} />
+                  {shareDatasetLabel ? `Opens with pool "${shareDatasetLabel}"` : 'Pool not saved as a dataset — recipients get the roster only'}
+                </p>
+                {syncQueue.some(e => e.path[e.path.length - 1] === currentRoster?.id) && (
+                  <p className="mt-1 text-[9px] font-bold text-orange-400 flex items-center gap-1.5">
+                    <RefreshCw size={10} /> Not synced yet — the link works once this save reaches the server
+                  </p>
+                )}
               </div>
             )}
 
@@ -444,55 +1998,361 @@ const App = () => {
                 <div key={p.athlete_id} className="flex items-center justify-between p-3 bg-slate-50 rounded-xl border border-slate-100 group transition-all hover:border-slate-200">
                   <div className="flex items-center gap-3">
                     <div className="w-8 h-8 rounded bg-white border border-slate-200 flex items-center justify-center font-black text-slate-400 text-[9px] shadow-sm">
-                      {p.position?.split('-')[0]}
+                      {p.position}
                     </div>
                     <div>
                       <div className="font-bold text-[13px] text-slate-900 leading-tight">{p.player}</div>
                       <div className="flex gap-2">
                         <span className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">{p.team}</span>
-                        <span className="text-[8px] font-mono font-bold text-slate-400">${p.salary_2025_num?.toLocaleString()}</span>
+                        <span className="text-[8px] font-mono font-bold text-slate-400">{salaryFor(p, season) != null ? `$${salaryFor(p, season).toLocaleString()}` : 'No deal'}</span>
+                        {valueModel.byId.get(p.athlete_id)?.surplus != null && (
+                          <span
+                            className={`text-[8px] font-mono font-bold ${valueModel.byId.get(p.athlete_id).surplus >= 0 ? 'text-green-600' : 'text-red-500'}`}
+                            title="Market value minus salary"
+                          >
+                            {formatSignedMoney(valueModel.byId.get(p.athlete_id).surplus)}
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
-                  <button 
-                    onClick={() => setLineup(lineup.filter(lp => lp.athlete_id !== p.athlete_id))} 
-                    className="p-1.5 text-slate-300 hover:text-red-500 transition-colors"
-                  >
-                    <X size={14} />
-                  </button>
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => setSimilarTarget({ player: p, mode: sharedView ? 'view' : 'swap' })}
+                      className="p-1.5 text-slate-300 hover:text-slate-600 transition-colors"
+                      title="Find similar players"
+                    >
+                      <Target size={13} />
+                    </button>
+                    <button
+                      onClick={() => toggleId(pinnedIds, setPinnedIds, p.athlete_id)}
+                      className={`p-1.5 transition-colors ${pinnedIds.includes(p.athlete_id) ? 'text-orange-500' : 'text-slate-300 hover:text-slate-600'}`}
+                      title={pinnedIds.includes(p.athlete_id) ? 'Unpin' : 'Pin for Auto-Build'}
+                    >
+                      {pinnedIds.includes(p.athlete_id) ? <Lock size={13} /> : <Unlock size={13} />}
+                    </button>
+                    {!sharedView && (
+                      <button 
+                        onClick={() => { editLineup({ type: 'remove', player: p }); setLastDropped(p); }} 
+                        className="p-1.5 text-slate-300 hover:text-red-500 transition-colors"
+                        title="Remove from roster"
+                      >
+                        <X size={14} />
+                      </button>
+                    )}
+                  </div>
                 </div>
               ))}
-              {lineup.length < 12 && (
+              {lineup.length < capRules.roster.max && (
                 <div className="h-12 border-2 border-dashed border-slate-100 rounded-xl flex items-center justify-center text-slate-300 font-bold text-[9px] uppercase tracking-widest">
-                  Add {12 - lineup.length} more...
+                  Add {capRules.roster.max - lineup.length} more...
                 </div>
               )}
             </div>
 
+            {/* Replacement Prompt */}
+            {lastDropped && !sharedView && !lineup.some(p => p.athlete_id === lastDropped.athlete_id) && (
+              <div className="mt-3 flex items-center gap-2 p-3 bg-orange-50/60 border border-orange-100 rounded-xl text-[10px] font-bold text-slate-600">
+                <UserMinus size={13} className="text-orange-500" />
+                Dropped {lastDropped.player}
+                <button
+                  onClick={() => { setSimilarTarget({ player: lastDropped, mode: 'add' }); setLastDropped(null); }}
+                  className="ml-auto flex items-center gap-1 font-black uppercase tracking-widest text-orange-600 hover:text-orange-700"
+                >
+                  <Target size={11} /> Find Replacement
+                </button>
+                <button onClick={() => setLastDropped(null)} className="text-slate-300 hover:text-slate-600"><X size={12} /></button>
+              </div>
+            )}
+
+            {/* Depth Chart */}
+            {lineup.length > 0 && (
+              <div className="mt-6 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                <div className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-1.5">
+                  <LayoutGrid size={12} /> Depth Chart
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  {depthChart.map(slot => (
+                    <div key={slot.bucket} className="min-w-0">
+                      <div className={`flex justify-between items-center px-2 py-1 mb-1.5 rounded-lg border text-[10px] font-black ${DEPTH_STATUS_STYLES[slot.status]}`}>
+                        {slot.bucket}
+                        <span className="font-mono text-[9px]">{slot.count}/{slot.min}+</span>
+                      </div>
+                      {slot.players.map(({ player, primary, hybrid }, depth) => (
+                        <div key={player.athlete_id} className="flex items-center gap-1.5 px-1 py-0.5 text-[10px]">
+                          <span className="w-3 font-mono text-[8px] text-slate-300">{depth + 1}</span>
+                          <span className={`truncate font-bold ${primary ? 'text-slate-800' : 'text-slate-500 italic'}`}>{player.player}</span>
+                          {hybrid && <span className="ml-auto shrink-0 text-[7px] font-black text-slate-300">{player.position}</span>}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+                {depthChart.some(depthWarning) && (
+                  <div className="mt-3 pt-3 border-t border-slate-100 space-y-1">
+                    {depthChart.filter(depthWarning).map(slot => (
+                      <div key={slot.bucket} className={`flex items-center gap-2 text-[10px] font-bold ${slot.status === 'gap' ? 'text-red-600' : slot.status === 'thin' ? 'text-orange-600' : 'text-sky-700'}`}>
+                        <AlertTriangle size={11} className="shrink-0" />
+                        {depthWarning(slot)}
+                        {slot.status === 'gap' && !sharedView && (
+                          <button
+                            onClick={() => { setGapFilter(slot.bucket); setCurrentPage(1); }}
+                            className="ml-auto shrink-0 font-black uppercase tracking-widest text-[9px] hover:text-red-800"
+                          >
+                            Find {slot.bucket}
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* History Timeline */}
+            {rosterHistory.commands.length > 0 && (
+              <div className="mt-6 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                <button
+                  onClick={() => setShowHistory(!showHistory)}
+                  className="w-full flex justify-between items-center text-[10px] font-black text-slate-400 uppercase tracking-widest"
+                >
+                  <span className="flex items-center gap-1.5"><History size={12} /> History</span>
+                  <span>Step {rosterHistory.cursor} of {rosterHistory.commands.length}</span>
+                </button>
+                {showHistory && (
+                  <div className="mt-3 space-y-0.5 max-h-56 overflow-y-auto custom-scrollbar">
+                    {[{ label: 'Start', at: null }, ...rosterHistory.commands].map((c, step) => (
+                      <div
+                        key={step}
+                        className={`flex items-center gap-2 px-2 py-1 rounded-lg text-[11px] group/step ${step === rosterHistory.cursor ? 'bg-white border border-slate-200' : ''}`}
+                      >
+                        <span className={`w-1.5 h-1.5 rounded-full ${step <= rosterHistory.cursor ? 'bg-slate-950' : 'bg-slate-300'}`} />
+                        <button
+                          onClick={() => goToStep(step)}
+                          className={`flex-1 text-left font-bold truncate ${step <= rosterHistory.cursor ? 'text-slate-900' : 'text-slate-300'} hover:text-orange-600`}
+                        >
+                          {c.label}
+                        </button>
+                        {c.at && <span className="font-mono text-[9px] text-slate-400">{new Date(c.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>}
+                        {stepLinksAvailable && step >= (currentRoster.historyOffset || 0) && (
+                          <button
+                            onClick={() => copyStepLink(step)}
+                            className="p-1 text-slate-300 opacity-0 group-hover/step:opacity-100 hover:text-slate-600"
+                            title="Copy link to this point"
+                          >
+                            <Copy size={11} />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Transaction Log */}
+            {transactions && (
+              <div className="mt-6 p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                <div className="flex justify-between items-center mb-3">
+                  <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Moves vs {baseline.team} Baseline</span>
+                  <button onClick={() => setBaseline(null)} className="text-slate-300 hover:text-slate-600" title="Drop baseline">
+                    <X size={12} />
+                  </button>
+                </div>
+                {transactions.moves.length === 0 ? (
+                  <p className="text-[10px] font-bold text-slate-300 uppercase tracking-widest">No moves yet</p>
+                ) : (
+                  <div className="space-y-1.5">
+                    {transactions.moves.map(m => (
+                      <div key={`${m.type}-${m.athlete_id}`} className="flex justify-between items-center text-[11px]">
+                        <span className={`flex items-center gap-1.5 font-bold ${m.type === 'add' ? 'text-green-600' : 'text-red-500'}`}>
+                          {m.type === 'add' ? <UserPlus size={12} /> : <UserMinus size={12} />} {m.player}
+                        </span>
+                        <span className="font-mono text-[10px] font-bold text-slate-400">
+                          {m.type === 'add' ? '+' : '−'}{formatMoney(m.salary)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="mt-3 pt-3 border-t border-slate-100 flex justify-between items-center text-[10px] font-black uppercase tracking-widest">
+                  <span className="text-slate-400">{season} Cap Delta</span>
+                  <span className={transactions.capDelta > 0 ? 'text-red-500' : 'text-green-600'}>
+                    {transactions.capDelta >= 0 ? '+' : '−'}{formatMoney(Math.abs(transactions.capDelta))}
+                  </span>
+                </div>
+              </div>
+            )}
+
             {lineupStats && (
               <div className="mt-8 pt-6 border-t border-slate-50">
                 <div className="flex justify-between items-end mb-3">
                   <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Aggregate Salary</span>
                   <div className="text-right">
-                    <div className={`text-sm font-black ${lineupStats.totalSalary > SALARY_CAP ? 'text-red-500' : 'text-slate-950'}`}>
+                    <div className={`text-sm font-black ${lineupStats.totalSalary > capRules.salaryCap ? 'text-red-500' : 'text-slate-950'}`}>
                       ${lineupStats.totalSalary.toLocaleString()}
                     </div>
-                    <div className="text-[9px] font-bold text-slate-400 uppercase">Cap: ${SALARY_CAP.toLocaleString()}</div>
+                    <div className="text-[9px] font-bold text-slate-400 uppercase">
+                      Floor: ${capRules.salaryFloor.toLocaleString()} · {capRules.hardCap ? 'Hard ' : ''}Cap: ${capRules.salaryCap.toLocaleString()}
+                    </div>
                   </div>
                 </div>
-                <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
+                <div className="relative h-2 w-full bg-slate-100 rounded-full overflow-hidden">
                   <div 
-                    className={`h-full transition-all duration-700 ${lineupStats.totalSalary > SALARY_CAP ? 'bg-red-500' : 'bg-slate-950'}`}
-                    style={{ width: `${Math.min((lineupStats.totalSalary / SALARY_CAP) * 100, 100)}%` }}
+                    className={`h-full transition-all duration-700 ${lineupStats.totalSalary > capRules.salaryCap ? 'bg-red-500' : 'bg-slate-950'}`}
+                    style={{ width: `${Math.min((lineupStats.totalSalary / capRules.salaryCap) * 100, 100)}%` }}
                   />
+                  <div
+                    className="absolute top-0 h-full w-0.5 bg-orange-400"
+                    style={{ left: `${(capRules.salaryFloor / capRules.salaryCap) * 100}%` }}
+                    title="Salary floor"
+                  />
+                </div>
+                {lineupValue.rows.length > 0 && (
+                  <div className="mt-4 pt-4 border-t border-slate-50">
+                    <div className="flex justify-between items-center">
+                      <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Contract Surplus</span>
+                      <span className={`text-sm font-black ${lineupValue.total >= 0 ? 'text-green-600' : 'text-red-500'}`}>
+                        {formatSignedMoney(lineupValue.total)}
+                      </span>
+                    </div>
+                    <div className="mt-2 grid grid-cols-2 gap-3 text-[10px]">
+                      <div>
+                        <div className="text-[8px] font-black text-slate-400 uppercase tracking-widest mb-1">Best Value</div>
+                        {lineupValue.rows.filter(r => r.surplus > 0).slice(0, 2).map(r => (
+                          <div key={r.player.athlete_id} className="flex justify-between font-bold">
+                            <span className="truncate text-slate-700">{r.player.player}</span>
+                            <span className="font-mono text-green-600">{formatSignedMoney(r.surplus)}</span>
+                          </div>
+                        ))}
+                      </div>
+                      <div>
+                        <div className="text-[8px] font-black text-slate-400 uppercase tracking-widest mb-1">Most Overpaid</div>
+                        {lineupValue.rows.filter(r => r.surplus < 0).slice(-2).reverse().map(r => (
+                          <div key={r.player.athlete_id} className="flex justify-between font-bold">
+                            <span className="truncate text-slate-700">{r.player.player}</span>
+                            <span className="font-mono text-red-500">{formatSignedMoney(r.surplus)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Cap Compliance */}
+            {lineup.length > 0 && (
+              <div className="mt-6">
+                <div className="flex justify-between items-center mb-3">
+                  <span className={`flex items-center gap-1.5 text-[10px] font-black uppercase tracking-widest ${compliance.compliant ? 'text-green-600' : 'text-red-500'}`}>
+                    {compliance.compliant ? <CheckCircle2 size={12} /> : <ShieldAlert size={12} />}
+                    {compliance.compliant ? 'Roster Compliant' : `${compliance.violations.filter(v => v.severity === 'error').length} Rule Violations`}
+                  </span>
+                  <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+                    {season} Rules{capRules.projected ? ' · Projected' : ''}
+                  </span>
                 </div>
+
+                {compliance.violations.length > 0 && (
+                  <div className="space-y-2">
+                    {compliance.violations.map(v => (
+                      <div key={v.id} className={`p-3 rounded-xl border text-[10px] ${v.severity === 'error' ? 'bg-red-50 border-red-100' : 'bg-orange-50 border-orange-100'}`}>
+                        <div className={`font-bold flex items-center gap-1.5 ${v.severity === 'error' ? 'text-red-600' : 'text-orange-600'}`}>
+                          <AlertTriangle size={11} className="shrink-0" /> {v.message}
+                        </div>
+                        {v.players.length > 0 && (
+                          <div className="mt-1.5 flex flex-wrap gap-1">
+                            {v.players.map(name => (
+                              <span key={name} className="px-1.5 py-0.5 bg-white rounded text-[9px] font-bold text-slate-600 border border-slate-100">{name}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {!compliance.compliant && (
+                  <label className="mt-3 flex items-center gap-2 text-[9px] font-black uppercase tracking-widest text-slate-400 cursor-pointer">
+                    <input type="checkbox" checked={capOverride} onChange={(e) => setCapOverride(e.target.checked)} />
+                    Override rules to save this roster anyway
+                  </label>
+                )}
               </div>
             )}
           </div>
 
+          {lineup.length > 0 && (
+            <RotationLab
+              lineup={lineup}
+              rotation={activeRotation}
+              readOnly={!!sharedView}
+              onChange={sharedView ? () => {} : setRotation}
+            />
+          )}
+
+          {lineup.length > 0 && (
+            <div className="bg-white rounded-3xl p-8 shadow-sm border border-slate-100">
+              <div className="flex justify-between items-center mb-6">
+                <div className="flex items-center gap-2.5">
+                  <Calendar className="text-slate-400" size={18} />
+                  <h2 className="text-xs font-black uppercase tracking-[0.1em] text-slate-900">Cap Projection</h2>
+                </div>
+                <label className="flex items-center gap-2 text-[9px] font-black uppercase tracking-widest text-slate-400">
+                  Cap Growth
+                  <input
+                    type="number"
+                    step="0.5"
+                    className="w-14 py-1 px-2 bg-slate-50 rounded-lg border border-slate-100 text-[10px] font-mono font-bold text-slate-600 outline-none"
+                    value={Math.round(capGrowth * 1000) / 10}
+                    onChange={(e) => setCapGrowth((Number(e.target.value) || 0) / 100)}
+                  />
+                  %
+                </label>
+              </div>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-[9px] font-black text-slate-400 uppercase tracking-[0.15em] border-b border-slate-50">
+                    <th className="pb-3 text-left">Season</th>
+                    <th className="pb-3 text-right">Cap</th>
+                    <th className="pb-3 text-right">Committed</th>
+                    <th className="pb-3 text-right">Options</th>
+                    <th className="pb-3 text-right">Space</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-50">
+                  {capProjection.map(row => (
+                    <tr
+                      key={row.season}
+                      onClick={() => setSeason(row.season)}
+                      className={`cursor-pointer transition-all ${row.season === season ? 'bg-slate-50' : 'hover:bg-slate-50'}`}
+                    >
+                      <td className="py-3">
+                        <div className="text-xs font-black text-slate-900">{row.season}{row.projected && <span className="ml-1 text-[8px] text-slate-400">PROJ</span>}</div>
+                        <div className="text-[8px] font-bold text-slate-400 uppercase tracking-widest" title={row.expiring.join(', ')}>
+                          {row.expiring.length} Expiring
+                        </div>
+                      </td>
+                      <td className="py-3 text-right font-mono text-[10px] font-bold text-slate-400">{formatMoney(row.cap)}</td>
+                      <td className="py-3 text-right font-mono text-[10px] font-bold text-slate-900">{formatMoney(row.committed)}</td>
+                      <td className="py-3 text-right font-mono text-[10px] font-bold text-slate-400">{row.options > 0 ? formatMoney(row.options) : '—'}</td>
+                      <td className={`py-3 text-right font-mono text-[10px] font-black ${row.space < 0 ? 'text-red-500' : 'text-green-600'}`}>{formatMoney(row.space)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           <div className="bg-slate-950 rounded-3xl p-8 shadow-2xl text-white">
             <h2 className="text-xs font-black uppercase tracking-[0.15em] text-slate-500 mb-8 flex items-center gap-2">
               <Activity className="text-orange-500" size={14} /> Full Roster Analytics
+              {lineupStats && (
+                <span className="ml-auto text-[9px] tracking-widest text-slate-600">
+                  {isMinutesWeighted ? `Minutes-Weighted · ${rotationMinutes}/${GAME_MINUTES}` : 'Flat Average'}
+                </span>
+              )}
             </h2>
             
             {!lineupStats ? (
@@ -502,23 +2362,97 @@ const App = () => {
               </div>
             ) : (
               <div className="space-y-6">
-                <StatRow label="Team Efficiency (TS%)" value={lineupStats.avgTs} />
-                <StatRow label="Usage Distribution" value={lineupStats.avgUsage} />
-                <StatRow label="Roster Defense" value={lineupStats.avgDef} />
-                <StatRow label="Playmaking Hub" value={lineupStats.avgAst} />
-
-                <div className="grid grid-cols-2 gap-3 mt-8">
-                  <div className="bg-white/5 p-4 rounded-xl border border-white/10">
-                    <div className="text-[9px] text-slate-500 font-black uppercase mb-1 flex items-center gap-1.5">
-                      <TrendingUp size={10} /> Composition
-                    </div>
-                    <div className="text-xs font-bold">{lineupStats.avgUsage > 0.70 ? 'High-Volume' : 'Efficiency-Based'}</div>
+                {STAT_METRICS.map(m => (
+                  <StatRow key={m.key} label={m.label} value={lineupStats[m.key]} benchmark={lineupRanks?.[m.key]} />
+                ))}
+
+                {/* League Benchmark */}
+                {lineupRanks && (
+                  <div className="flex items-center justify-between p-3 bg-white/5 rounded-xl border border-white/10 text-[10px]">
+                    <span className="font-bold text-slate-400">
+                      Payroll ranks <span className="text-white font-black">#{lineupRanks.totalSalary.rank}</span> of {lineupRanks.totalSalary.of} franchises
+                    </span>
+                    <select
+                      className="bg-transparent text-[9px] font-black uppercase tracking-widest text-orange-400 outline-none cursor-pointer"
+                      value=""
+                      onChange={(e) => setCompareTeam(e.target.value)}
+                    >
+                      <option value="" disabled>Compare to Franchise</option>
+                      {benchmarks.map(b => <option key={b.team} value={b.team} className="text-slate-900">{b.team}</option>)}
+                    </select>
                   </div>
-                  <div className="bg-white/5 p-4 rounded-xl border border-white/10">
-                    <div className="text-[9px] text-slate-500 font-black uppercase mb-1 flex items-center gap-1.5">
-                      <ShieldCheck size={10} /> Roster Meta
-                    </div>
-                    <div className="text-xs font-bold">{lineupStats.avgDef > 0.7 ? 'Defensive Juggernaut' : 'Neutral Profile'}</div>
+                )}
+
+                {/* Team Identity */}
+                <div className="mt-8">
+                  <div className="flex justify-between items-center mb-3">
+                    <span className="text-[9px] text-slate-500 font-black uppercase tracking-widest flex items-center gap-1.5">
+                      <ShieldCheck size={10} /> Team Identity · {rosterIdentity(archetypeResults)}
+                    </span>
+                    <button
+                      onClick={() => setShowArchetypes(true)}
+                      className="flex items-center gap-1 text-[9px] font-black uppercase tracking-widest text-slate-500 hover:text-white transition-colors"
+                    >
+                      <SlidersHorizontal size={10} /> Archetypes
+                    </button>
+                  </div>
+                  <div className="space-y-3">
+                    {archetypeResults.map((r, i) => {
+                      const move = archetypeMoves[i];
+                      const drivers = [...new Set(r.criteria.filter(c => c.score === 1).flatMap(c => c.drivers.map(p => p.player)))];
+                      return (
+                        <div key={r.archetype.id || r.archetype.name} className={`p-4 rounded-xl border ${r.matched ? 'bg-white/10 border-white/20' : 'bg-white/5 border-white/10'}`}>
+                          <div className="flex justify-between items-center">
+                            <span className="text-xs font-bold flex items-center gap-1.5">
+                              {r.matched ? <Check size={12} className="text-green-400" /> : <TrendingUp size={12} className="text-slate-500" />}
+                              {r.archetype.name}
+                            </span>
+                            <span className="text-[10px] font-mono font-black text-slate-400">{Math.round(r.score * 100)}% fit</span>
+                          </div>
+                          <div className="mt-2 space-y-1">
+                            {r.criteria.map((c, ci) => (
+                              <div key={ci} className="flex justify-between text-[10px]">
+                                <span className={c.score === 1 ? 'text-slate-300' : 'text-slate-500'}>{c.label}</span>
+                                <span className={`font-mono font-bold ${c.score === 1 ? 'text-green-400' : 'text-orange-400'}`}>
+                                  {c.display} <span className="text-slate-600">/ {criterionTarget(c.criterion)}</span>
+                                </span>
+                              </div>
+                            ))}
+                          </div>
+                          {drivers.length > 0 && (
+                            <div className="mt-2 text-[10px] text-slate-400">
+                              <span className="font-black uppercase tracking-widest text-[8px] text-slate-500">Driven by </span>
+                              {drivers.slice(0, 4).join(', ')}{drivers.length > 4 ? ` +${drivers.length - 4}` : ''}
+                            </div>
+                          )}
+                          {move && (
+                            <div className="mt-2 pt-2 border-t border-white/5 flex items-center gap-2 text-[10px] text-slate-400">
+                              <ArrowLeftRight size={10} className="shrink-0" />
+                              <span className="flex-1">
+                                {move.type === 'stable' && 'No single departure changes this label'}
+                                {move.type === 'lose' && `Losing ${move.player.player} drops fit to ${Math.round(move.score * 100)}%`}
+                                {move.type === 'add' && `Adding ${move.player.player} lifts fit to ${Math.round(move.score * 100)}%`}
+                                {move.type === 'swap' && `Swapping ${move.out.player} for ${move.player.player} lifts fit to ${Math.round(move.score * 100)}%`}
+                              </span>
+                              {['add', 'swap'].includes(move.type) && !sharedView && (
+                                <button
+                                  onClick={() => (move.type === 'add'
+                                    ? editLineup({ type: 'add', player: move.player })
+                                    : editLineup(replaceOp(
+                                      lineup,
+                                      lineup.map(lp => (lp.athlete_id === move.out.athlete_id ? move.player : lp)),
+                                      `Swapped ${move.out.player} for ${move.player.player}`,
+                                    )))}
+                                  className="font-black uppercase tracking-widest text-[9px] text-orange-400 hover:text-orange-300"
+                                >
+                                  Apply
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
               </div>
@@ -529,63 +2463,1681 @@ const App = () => {
 
       {showImport && (
         <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
-          <div className="bg-white rounded-[2rem] max-w-xl w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200">
+          <div className={`bg-white rounded-[2rem] w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar ${importDraft ? 'max-w-3xl' : 'max-w-xl'}`}>
             <div className="flex justify-between items-center mb-8">
               <div>
                 <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Import Lab</h3>
-                <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">CSV / Plaintext Parser</p>
+                <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">
+                  {importDraft ? `Map Columns · ${importDraft.rows.length} rows detected` : 'CSV / Plaintext Parser'}
+                </p>
               </div>
-              <button onClick={() => setShowImport(false)} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+              <button onClick={closeImport} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
                 <X size={20} />
               </button>
             </div>
-            
-            <textarea 
-              className="w-full h-64 bg-slate-50 border border-slate-100 rounded-2xl p-6 font-mono text-[10px] text-slate-600 focus:outline-none focus:ring-2 focus:ring-slate-950/5 focus:bg-white resize-none transition-all mb-6"
-              placeholder='Paste CSV data here. Required headers: "Athlete Name", "Contract Type", "Salary_2025_num", etc.'
-              value={csvText}
-              onChange={(e) => setCsvText(e.target.value)}
-            />
 
-            <div className="flex gap-3">
-              <button onClick={handleImport} className="flex-1 bg-slate-950 text-white font-black py-4 rounded-xl hover:bg-slate-800 transition-all uppercase tracking-widest text-[10px]">
-                Process Data
-              </button>
-              <button onClick={() => setShowImport(false)} className="px-8 bg-slate-100 text-slate-500 font-black py-4 rounded-xl hover:bg-slate-200 transition-all uppercase tracking-widest text-[10px]">
-                Cancel
-              </button>
-            </div>
+            {!importDraft ? (
+              <>
+                <textarea 
+                  className="w-full h-64 bg-slate-50 border border-slate-100 rounded-2xl p-6 font-mono text-[10px] text-slate-600 focus:outline-none focus:ring-2 focus:ring-slate-950/5 focus:bg-white resize-none transition-all mb-6"
+                  placeholder='Paste CSV data here. Required headers: "Athlete Name", "Contract Type", "Salary_2025_num", etc.'
+                  value={csvText}
+                  onChange={(e) => { setCsvText(e.target.value); setImportError(''); }}
+                />
+
+                {importError && (
+                  <div className="mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+                    <AlertTriangle size={14} /> {importError}
+                  </div>
+                )}
+
+                <div className="flex gap-3">
+                  <button onClick={handleImport} className="flex-1 bg-slate-950 text-white font-black py-4 rounded-xl hover:bg-slate-800 transition-all uppercase tracking-widest text-[10px]">
+                    Process Data
+                  </button>
+                  <button onClick={closeImport} className="px-8 bg-slate-100 text-slate-500 font-black py-4 rounded-xl hover:bg-slate-200 transition-all uppercase tracking-widest text-[10px]">
+                    Cancel
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                {players.length > 0 && (
+                  <div className="mb-6 grid grid-cols-2 gap-2 p-1 bg-slate-50 rounded-xl border border-slate-100">
+                    {[
+                      { mode: 'replace', label: 'Replace Pool', hint: `Discard current ${players.length} athletes` },
+                      { mode: 'merge', label: 'Merge Into Pool', hint: 'Match by athlete_id, else by name' },
+                    ].map(opt => (
+                      <button
+                        key={opt.mode}
+                        onClick={() => setImportMode(opt.mode)}
+                        className={`py-2.5 rounded-lg text-left px-4 transition-all ${importMode === opt.mode ? 'bg-white shadow-sm border border-slate-100' : 'hover:bg-white/60'}`}
+                      >
+                        <div className={`text-[10px] font-black uppercase tracking-widest ${importMode === opt.mode ? 'text-slate-950' : 'text-slate-400'}`}>{opt.label}</div>
+                        <div className="text-[9px] font-bold text-slate-400">{opt.hint}</div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {/* Column Mapping */}
+                <div className="mb-6 border border-slate-100 rounded-2xl divide-y divide-slate-50">
+                  {importDraft.headers.map((header, i) => {
+                    const norm = normalizeHeader(header);
+                    const isKnown = IMPORT_FIELDS.some(f => f.key === norm);
+                    return (
+                      <div key={`${header}-${i}`} className="grid grid-cols-12 items-center gap-3 px-4 py-2.5">
+                        <div className="col-span-4 text-[11px] font-bold text-slate-900 truncate" title={header}>{header || <span className="text-slate-300">(blank)</span>}</div>
+                        <div className="col-span-4 text-[10px] font-mono text-slate-400 truncate" title={importDraft.rows[0]?.[i]}>{importDraft.rows[0]?.[i] || '—'}</div>
+                        <select
+                          className="col-span-4 py-2 px-2 bg-slate-50 rounded-lg border border-slate-100 text-[10px] font-black uppercase tracking-wider outline-none text-slate-600 cursor-pointer"
+                          value={columnMap[i] ?? ''}
+                          onChange={(e) => setColumnMap(columnMap.map((key, j) => (j === i ? e.target.value : key)))}
+                        >
+                          {IMPORT_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                          {!isKnown && norm && <option value={norm}>Keep as {norm}</option>}
+                          <option value="">Ignore</option>
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {/* Validation Report */}
+                <div className="flex flex-wrap gap-2 mb-4">
+                  <span className="flex items-center gap-1.5 text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-green-50 text-green-600 border border-green-100">
+                    <CheckCircle2 size={12} /> {importReport.players.length} Ready
+                  </span>
+                  <span className="text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-red-50 text-red-600 border border-red-100">
+                    {importReport.issues.filter(i => i.severity === 'error').length} Skipped
+                  </span>
+                  <span className="text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-orange-50 text-orange-600 border border-orange-100">
+                    {importReport.issues.filter(i => i.severity === 'warning').length} Warnings
+                  </span>
+                </div>
+
+                {importReport.issues.length > 0 && (
+                  <div className="mb-6 max-h-48 overflow-y-auto custom-scrollbar border border-slate-100 rounded-2xl divide-y divide-slate-50">
+                    {importReport.issues.map((issue, i) => (
+                      <div key={i} className="flex items-start gap-3 px-4 py-2 text-[10px]">
+                        <AlertTriangle size={12} className={`mt-0.5 shrink-0 ${issue.severity === 'error' ? 'text-red-500' : 'text-orange-400'}`} />
+                        <span className="font-mono font-bold text-slate-400 shrink-0">Row {issue.row}</span>
+                        <span className="font-bold text-slate-900 truncate max-w-[140px]">{issue.player}</span>
+                        {issue.field && <span className="font-mono text-slate-400">{issue.field}</span>}
+                        <span className="text-slate-600">{issue.message}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {mergePreview && (
+                  <div className="mb-6">
+                    <div className="flex flex-wrap gap-2 mb-4">
+                      {[
+                        ['Matched', mergePreview.matches.length],
+                        ['New', mergePreview.additions.length],
+                        ['Unmatched', mergePreview.unmatched.length],
+                        ['Conflicts', mergePreview.conflicts.length],
+                      ].map(([label, count]) => (
+                        <span key={label} className="text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-slate-50 text-slate-500 border border-slate-100">
+                          {count} {label}
+                        </span>
+                      ))}
+                    </div>
+
+                    {mergePreview.unmatched.length > 0 && (
+                      <p className="mb-4 text-[10px] font-bold text-slate-400">
+                        No ID and no name match, skipped: {mergePreview.unmatched.map(p => p.player).join(', ')}
+                      </p>
+                    )}
+
+                    {mergePreview.conflicts.length > 0 && (
+                      <>
+                        <div className="flex justify-between items-center mb-2">
+                          <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Field Conflicts</span>
+                          <div className="flex gap-2">
+                            <button onClick={() => resolveAllConflicts('current')} className="text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-950">Keep All Current</button>
+                            <button onClick={() => resolveAllConflicts('incoming')} className="text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-950">Take All Incoming</button>
+                          </div>
+                        </div>
+                        <div className="max-h-48 overflow-y-auto custom-scrollbar border border-slate-100 rounded-2xl divide-y divide-slate-50">
+                          {mergePreview.conflicts.map(c => {
+                            const choice = conflictChoices[c.key] || 'incoming';
+                            return (
+                              <div key={c.key} className="grid grid-cols-12 items-center gap-2 px-4 py-2 text-[10px]">
+                                <span className="col-span-3 font-bold text-slate-900 truncate">{c.player}</span>
+                                <span className="col-span-3 font-mono text-slate-400 truncate">{c.field}</span>
+                                {['current', 'incoming'].map(side => (
+                                  <button
+                                    key={side}
+                                    onClick={() => setConflictChoices({ ...conflictChoices, [c.key]: side })}
+                                    className={`col-span-3 px-2 py-1 rounded-md font-mono truncate text-left border transition-all ${choice === side ? 'bg-slate-950 text-white border-slate-950' : 'bg-slate-50 text-slate-500 border-slate-100 hover:border-slate-300'}`}
+                                    title={`${side === 'current' ? 'Keep' : 'Take'} ${c[side]}`}
+                                  >
+                                    {String(c[side])}
+                                  </button>
+                                ))}
+                              </div>
+                            );
+                          })}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => setImportDraft(null)}
+                    className="flex items-center gap-2 px-6 bg-slate-100 text-slate-500 font-black py-4 rounded-xl hover:bg-slate-200 transition-all uppercase tracking-widest text-[10px]"
+                  >
+                    <ArrowLeft size={12} /> Back
+                  </button>
+                  <button
+                    onClick={commitImport}
+                    disabled={importReport.players.length === 0}
+                    className="flex-1 bg-slate-950 text-white font-black py-4 rounded-xl hover:bg-slate-800 disabled:opacity-30 transition-all uppercase tracking-widest text-[10px]"
+                  >
+                    {mergePreview
+                      ? `Merge ${importReport.players.length - mergePreview.unmatched.length} Rows Into Pool`
+                      : `Replace Pool With ${importReport.players.length} Athletes`}
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
 
-      <style>{`
-        .custom-scrollbar::-webkit-scrollbar { width: 4px; }
-        .custom-scrollbar::-webkit-scrollbar-track { background: transparent; }
-        .custom-scrollbar::-webkit-scrollbar-thumb { background: #e2e8f0; border-radius: 10px; }
-        .custom-scrollbar::-webkit-scrollbar-thumb:hover { background: #cbd5e1; }
-      `}</style>
-    </div>
-  );
-};
+      {showTrade && (
+        <TradeMachine
+          storage={storage}
+          players={players}
+          teams={teams}
+          season={season}
+          rules={capRules}
+          user={user}
+          datasetId={activeDataset && !poolDirty ? activeDataset.id : null}
+          initialTrade={sharedTrade}
+          onClose={() => setShowTrade(false)}
+        />
+      )}
 
-const ContractTag = ({ type }) => {
-  if (!type) return <span className="text-[9px] font-black text-slate-200">—</span>;
-  const label = type.toString().charAt(0).toUpperCase();
-  let styles = "bg-slate-100 text-slate-400";
-  if (label === 'U') styles = "bg-blue-50 text-blue-600 border border-blue-100";
-  if (label === 'C') styles = "bg-purple-50 text-purple-600 border border-purple-100";
-  if (label === 'R') styles = "bg-orange-50 text-orange-600 border border-orange-100";
-  if (label === 'E') styles = "bg-green-50 text-green-600 border border-green-100";
-  return (
-    <div className={`inline-flex items-center justify-center w-6 h-6 rounded-lg text-[10px] font-black ${styles}`} title={type}>
-      {label}
+      {showOptimizer && (
+        <RosterOptimizer
+          players={players}
+          lineup={lineup}
+          season={season}
+          rules={capRules}
+          pinnedIds={pinnedIds}
+          excludedIds={excludedIds}
+          onApply={(roster) => { editLineup(replaceOp(lineup, roster, 'Applied Auto-Build')); setShowOptimizer(false); }}
+          onClose={() => setShowOptimizer(false)}
+        />
+      )}
+
+      {similarTarget && (
+        <SimilarPlayers
+          target={similarTarget.player}
+          mode={similarTarget.mode}
+          pool={players}
+          lineup={lineup}
+          season={season}
+          capRoom={similarCapRoom}
+          rosterFull={lineup.length >= capRules.roster.max}
+          onPick={(candidate) => {
+            const target = similarTarget.player;
+            if (similarTarget.mode === 'swap') {
+              editLineup(replaceOp(
+                lineup,
+                lineup.map(lp => (lp.athlete_id === target.athlete_id ? candidate : lp)),
+                `Swapped ${target.player} for ${candidate.player}`,
+              ));
+            } else {
+              editLineup({ type: 'add', player: candidate });
+            }
+            setSimilarTarget(null);
+          }}
+          onClose={() => setSimilarTarget(null)}
+        />
+      )}
+
+      {showLibrary && (
+        <RosterLibrary
+          storage={storage}
+          user={user}
+          season={season}
+          currentRosterId={currentRoster?.id}
+          onOpen={(rosterId, data) => { openRosterDoc(rosterId, data); setShowLibrary(false); }}
+          onDeleted={(rosterId) => { if (currentRoster?.id === rosterId) setCurrentRoster(null); }}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {showDatasets && (
+        <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+          <div className="bg-white rounded-[2rem] max-w-xl w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+            <div className="flex justify-between items-center mb-8">
+              <div>
+                <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Player Datasets</h3>
+                <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">Saved Pools · Versioned</p>
+              </div>
+              <button onClick={() => setShowDatasets(false)} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+                <X size={20} />
+              </button>
+            </div>
+
+            {/* Save Current Pool */}
+            <div className="mb-8 p-5 bg-slate-50 rounded-2xl border border-slate-100">
+              <div className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3">
+                Save Current Pool · {players.length} Athletes {poolDirty && <span className="text-orange-500">· Unsaved</span>}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="e.g. 2025 preseason"
+                  className="flex-1 bg-white border border-slate-100 rounded-xl px-4 py-3 text-sm focus:outline-none focus:ring-2 focus:ring-slate-950/5 font-medium"
+                  value={datasetName}
+                  onChange={(e) => setDatasetName(e.target.value)}
+                />
+                <button
+                  onClick={handleSaveDataset}
+                  disabled={!user || !datasetName.trim() || players.length === 0}
+                  className="px-5 bg-slate-950 text-white font-black rounded-xl hover:bg-slate-800 disabled:opacity-30 transition-all uppercase tracking-widest text-[10px]"
+                >
+                  Save as v{nextDatasetVersion([...datasets, ...queuedDatasets(syncQueue)], datasetName)}
+                </button>
+              </div>
+            </div>
+
+            {/* Saved Versions */}
+            {datasets.length === 0 ? (
+              <p className="py-10 text-center text-[10px] font-black text-slate-300 uppercase tracking-[0.2em]">No Saved Datasets</p>
+            ) : (
+              <div className="border border-slate-100 rounded-2xl divide-y divide-slate-50">
+                {datasets.map(ds => (
+                  <div key={ds.id} className="flex items-center justify-between px-5 py-3">
+                    <div>
+                      <div className="font-bold text-sm text-slate-900">{datasetLabel(ds)}</div>
+                      <div className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                        {ds.playerCount} Athletes · {new Date(ds.createdAt).toLocaleDateString()}
+                      </div>
+                    </div>
+                    {activeDataset?.id === ds.id ? (
+                      <span className="text-[9px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-orange-50 text-orange-600 border border-orange-100">Active</span>
+                    ) : (
+                      <button
+                        onClick={() => handleSwitchDataset(ds)}
+                        className="text-[9px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-slate-950 text-white hover:bg-orange-600 transition-all"
+                      >
+                        Load
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showReport && lineupStats && (
+        <RosterReport
+          title={rosterTitle}
+          notes={rosterNotes}
+          season={season}
+          rosterTeam={rosterTeam}
+          lineup={lineup}
+          stats={lineupStats}
+          rules={capRules}
+          compliance={compliance}
+          archetypes={archetypeResults}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      {compareTeam && lineupStats && (
+        <FranchiseCompare
+          team={compareTeam}
+          benchmarks={benchmarks}
+          build={{ id: 'build', title: rosterTitle || 'Our Build', lineup }}
+          buildStats={flatLineupStats}
+          season={season}
+          onChangeTeam={setCompareTeam}
+          onClose={() => setCompareTeam(null)}
+        />
+      )}
+
+      {showArchetypes && (
+        <ArchetypeEditor
+          archetypes={archetypes}
+          onSave={(next) => { persistArchetypes(next); setShowArchetypes(false); }}
+          onReset={() => { persistArchetypes(null); setShowArchetypes(false); }}
+          onClose={() => setShowArchetypes(false)}
+        />
+      )}
+
+      <style>{`
+        @media print {
+          body * { visibility: hidden; }
+          .print-report, .print-report * { visibility: visible; }
+          .print-report { position: absolute; inset: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .print-hidden { display: none !important; }
+        }
+        .custom-scrollbar::-webkit-scrollbar { width: 4px; }
+        .custom-scrollbar::-webkit-scrollbar-track { background: transparent; }
+        .custom-scrollbar::-webkit-scrollbar-thumb { background: #e2e8f0; border-radius: 10px; }
+        .custom-scrollbar::-webkit-scrollbar-thumb:hover { background: #cbd5e1; }
+      `}</style>
+    </div>
+  );
+};
+
+const ContractTag = ({ type }) => {
+  const key = contractStatus(type);
+  if (!key) return <span className="text-[9px] font-black text-slate-200">—</span>;
+  const status = CONTRACT_STATUSES[key];
+  return (
+    <div
+      className={`inline-flex items-center justify-center min-w-[24px] h-6 px-1 rounded-lg text-[10px] font-black ${status.styles}`}
+      title={`${type} · ${status.label}: ${status.rule}`}
+    >
+      {status.code}
+    </div>
+  );
+};
+
+const TradeMachine = ({ storage, players, teams, season, rules, user, datasetId, initialTrade, onClose }) => {
+  const [tradeTeams, setTradeTeams] = useState(() => initialTrade?.teams || teams.slice(0, 2));
+  const [moves, setMoves] = useState(() => initialTrade?.moves || {});
+  const [isSaving, setIsSaving] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+  const [copySuccess, setCopySuccess] = useState(false);
+  const [error, setError] = useState('');
+
+  // A shared trade carries its own roster snapshots so it renders without the sender's pool
+  const teamRosters = useMemo(() => Object.fromEntries(tradeTeams.map(team => [
+    team,
+    initialTrade?.rosters?.[team] || players.filter(p => p.team === team),
+  ])), [tradeTeams, players, initialTrade]);
+
+  const evaluation = useMemo(() => evaluateTrade(teamRosters, moves, season), [teamRosters, moves, season]);
+
+  const setSlot = (slot, team) => {
+    const next = [...tradeTeams];
+    if (team) next[slot] = team;
+    else next.splice(slot, 1);
+    const origin = new Map(Object.entries(teamRosters).flatMap(([t, roster]) => roster.map(p => [String(p.athlete_id), t])));
+    setTradeTeams(next);
+    setMoves(Object.fromEntries(Object.entries(moves).filter(([id, dest]) => next.includes(dest) && next.includes(origin.get(id)))));
+    setShareUrl('');
+  };
+
+  const movePlayer = (athleteId, dest) => {
+    const id = String(athleteId);
+    const home = Object.keys(teamRosters).find(team => teamRosters[team].some(p => String(p.athlete_id) === id));
+    const next = { ...moves };
+    if (!dest || dest === home) delete next[id];
+    else next[id] = dest;
+    setMoves(next);
+    setShareUrl('');
+  };
+
+  const handleSaveTrade = async () => {
+    if (!user || Object.keys(moves).length === 0) return;
+    setIsSaving(true);
+    setError('');
+    try {
+      const tradeId = crypto.randomUUID();
+      await storage.set(tradePath(tradeId), {
+        kind: 'trade',
+        teams: tradeTeams,
+        rosters: teamRosters,
+        moves,
+        season,
+        evaluation: evaluation.map(e => ({
+          team: e.team,
+          payroll: e.payroll,
+          payrollDelta: e.payroll - e.payrollBefore,
+          rosterCount: e.roster.length,
+          stats: e.stats,
+          incoming: e.incoming.map(p => p.player),
+          outgoing: e.outgoing.map(p => p.player),
+        })),
+        datasetId,
+        createdAt: new Date().toISOString(),
+        createdBy: user.uid
+      });
+      setShareUrl(`${window.location.origin}${window.location.pathname}?trade=${tradeId}`);
+    } catch (err) {
+      console.error('Trade save error:', err);
+      setError('Could not save trade. Check your connection and try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const availableTeams = (slot) => [...new Set([...tradeTeams, ...teams])]
+    .filter(t => t === tradeTeams[slot] || !tradeTeams.includes(t));
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] max-w-6xl w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Trade Machine</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">Drag athletes between franchises · {season} Payroll</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleSaveTrade}
+              disabled={!user || Object.keys(moves).length === 0 || isSaving}
+              className="flex items-center gap-2 px-3 py-1.5 bg-orange-500 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-orange-600 disabled:opacity-50 transition-all shadow-lg shadow-orange-500/10"
+            >
+              {isSaving ? 'Saving...' : <><Share2 size={12} /> Save & Share</>}
+            </button>
+            <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+            <AlertTriangle size={14} /> {error}
+          </div>
+        )}
+
+        {shareUrl && (
+          <div className="mb-6 flex gap-2 p-4 bg-slate-950 rounded-2xl">
+            <input readOnly value={shareUrl} className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-[10px] text-slate-300 font-mono outline-none" />
+            <button
+              onClick={() => { if (copyText(shareUrl)) { setCopySuccess(true); setTimeout(() => setCopySuccess(false), 2000); } }}
+              className="p-2 bg-white text-slate-950 rounded-lg hover:bg-slate-100 transition-all flex items-center justify-center"
+            >
+              {copySuccess ? <Check size={14} className="text-green-600" /> : <Copy size={14} />}
+            </button>
+          </div>
+        )}
+
+        <div className={`grid gap-4 ${tradeTeams.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          {evaluation.map((e, slot) => {
+            const overCap = e.payroll > rules.salaryCap;
+            return (
+              <div
+                key={e.team}
+                onDragOver={(ev) => ev.preventDefault()}
+                onDrop={(ev) => { ev.preventDefault(); movePlayer(ev.dataTransfer.getData('text/plain'), e.team); }}
+                className="bg-slate-50 rounded-2xl border-2 border-dashed border-slate-100 p-4 flex flex-col"
+              >
+                <div className="flex items-center gap-2 mb-4">
+                  <select
+                    className="flex-1 py-2 px-2 bg-white rounded-lg border border-slate-100 text-[11px] font-black uppercase tracking-wider outline-none text-slate-900 cursor-pointer"
+                    value={e.team}
+                    onChange={(ev) => setSlot(slot, ev.target.value)}
+                  >
+                    {availableTeams(slot).map(t => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                  {tradeTeams.length > 2 && (
+                    <button onClick={() => setSlot(slot, null)} className="p-1.5 text-slate-300 hover:text-red-500"><X size={14} /></button>
+                  )}
+                </div>
+
+                <div className="space-y-1.5 flex-1 min-h-[200px]">
+                  {e.roster.map(p => {
+                    const isIncoming = e.incoming.includes(p);
+                    return (
+                      <div
+                        key={p.athlete_id}
+                        draggable
+                        onDragStart={(ev) => ev.dataTransfer.setData('text/plain', String(p.athlete_id))}
+                        className={`flex items-center justify-between gap-2 p-2 rounded-lg border cursor-grab text-[11px] ${isIncoming ? 'bg-green-50 border-green-100' : 'bg-white border-slate-100'}`}
+                      >
+                        <div className="min-w-0">
+                          <div className="font-bold text-slate-900 truncate">{p.player}</div>
+                          <div className="text-[8px] font-mono font-bold text-slate-400">
+                            {p.position} · {salaryFor(p, season) != null ? formatMoney(salaryFor(p, season)) : 'No deal'}
+                            {isIncoming && <span className="text-green-600"> · from {p.team}</span>}
+                          </div>
+                        </div>
+                        <select
+                          className="py-1 bg-transparent text-[9px] font-black uppercase outline-none text-slate-400 cursor-pointer"
+                          value={e.team}
+                          onChange={(ev) => movePlayer(p.athlete_id, ev.target.value)}
+                          title="Send to"
+                        >
+                          {tradeTeams.map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="mt-4 pt-4 border-t border-slate-100 space-y-3">
+                  <div className="flex justify-between items-end">
+                    <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest">{e.roster.length}/{rules.roster.max} Roster</span>
+                    <div className="text-right">
+                      <div className={`text-xs font-black ${overCap ? 'text-red-500' : 'text-slate-950'}`}>{formatMoney(e.payroll)}</div>
+                      <div className={`text-[9px] font-bold ${e.payroll - e.payrollBefore > 0 ? 'text-red-400' : 'text-green-600'}`}>
+                        {e.payroll - e.payrollBefore >= 0 ? '+' : '−'}{formatMoney(Math.abs(e.payroll - e.payrollBefore))}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="h-1.5 w-full bg-slate-200 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full transition-all duration-700 ${overCap ? 'bg-red-500' : 'bg-slate-950'}`}
+                      style={{ width: `${Math.min((e.payroll / rules.salaryCap) * 100, 100)}%` }}
+                    />
+                  </div>
+                  {STAT_METRICS.map(m => {
+                    const after = e.stats?.[m.key] || 0;
+                    const delta = after - (e.statsBefore?.[m.key] || 0);
+                    return (
+                      <div key={m.key} className="flex justify-between items-center text-[9px] font-black uppercase tracking-widest">
+                        <span className="text-slate-400">{m.short}</span>
+                        <span className="text-slate-900">
+                          {Math.round(after * 100)}%
+                          {Math.round(delta * 100) !== 0 && (
+                            <span className={delta > 0 ? 'text-green-600' : 'text-red-500'}> {delta > 0 ? '+' : ''}{Math.round(delta * 100)}</span>
+                          )}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {tradeTeams.length < 3 && teams.length > tradeTeams.length && (
+          <button
+            onClick={() => setSlot(tradeTeams.length, teams.find(t => !tradeTeams.includes(t)))}
+            className="mt-4 w-full h-12 border-2 border-dashed border-slate-100 rounded-xl flex items-center justify-center gap-2 text-slate-300 hover:text-slate-500 font-bold text-[9px] uppercase tracking-widest"
+          >
+            <Plus size={12} /> Add Third Team
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RosterOptimizer = ({ players, lineup, season, rules, pinnedIds, excludedIds, onApply, onClose }) => {
+  const [weights, setWeights] = useState(DEFAULT_OPTIMIZER_WEIGHTS);
+  const [bucketMins, setBucketMins] = useState(DEFAULT_BUCKET_MINS);
+  const [topN, setTopN] = useState(5);
+  const [results, setResults] = useState(null);
+  const [isSolving, setIsSolving] = useState(false);
+  const [error, setError] = useState('');
+  const cancelRef = useRef(null);
+
+  useEffect(() => () => cancelRef.current?.(), []);
+
+  const prepared = useMemo(
+    () => buildOptimizerInput(players, lineup, { season, rules, weights, bucketMins, pinnedIds, excludedIds, topN }),
+    [players, lineup, season, rules, weights, bucketMins, pinnedIds, excludedIds, topN]
+  );
+
+  const currentScore = lineup.reduce((sum, p) => sum + playerScore(p, weights), 0);
+
+  const handleSolve = () => {
+    cancelRef.current?.();
+    setIsSolving(true);
+    setError('');
+    setResults(null);
+    const byId = new Map([...players, ...prepared.pinned].map(p => [p.athlete_id, p]));
+    cancelRef.current = runOptimizer(prepared.input, (solutions) => {
+      setResults(solutions.map(sol => ({
+        ...sol,
+        roster: [...prepared.pinned, ...sol.ids.map(id => byId.get(id)).reverse()],
+      })));
+      setIsSolving(false);
+    }, (err) => {
+      console.error('Optimizer error:', err);
+      setError('The optimizer failed to finish. Try loosening the constraints.');
+      setIsSolving(false);
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] max-w-4xl w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Auto-Build</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">
+              Best {rules.roster.max} under {formatMoney(rules.salaryCap)} · {pinnedIds.length} Pinned · {excludedIds.length} Excluded
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-6 mb-8">
+          <div className="p-5 bg-slate-50 rounded-2xl border border-slate-100 space-y-3">
+            <div className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Objective Weights</div>
+            {Object.keys(DEFAULT_OPTIMIZER_WEIGHTS).map(key => (
+              <label key={key} className="flex items-center gap-3 text-[10px] font-black uppercase tracking-widest text-slate-600">
+                <span className="w-16">{METRIC_LABELS[key]}</span>
+                <input
+                  type="range" min="0" max="3" step="0.5"
+                  className="flex-1 accent-orange-500"
+                  value={weights[key]}
+                  onChange={(e) => setWeights({ ...weights, [key]: Number(e.target.value) })}
+                />
+                <span className="w-6 text-right font-mono">{weights[key]}</span>
+              </label>
+            ))}
+          </div>
+          <div className="p-5 bg-slate-50 rounded-2xl border border-slate-100 space-y-3">
+            <div className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Minimum Per Position</div>
+            <div className="flex gap-3">
+              {POSITION_BUCKETS.map(bucket => (
+                <label key={bucket} className="flex-1 text-[10px] font-black uppercase tracking-widest text-slate-600">
+                  {bucket}
+                  <input
+                    type="number" min="0" max={rules.roster.max}
+                    className="mt-1 w-full py-2 px-3 bg-white rounded-lg border border-slate-100 font-mono text-xs outline-none"
+                    value={bucketMins[bucket] ?? 0}
+                    onChange={(e) => setBucketMins({ ...bucketMins, [bucket]: Math.max(0, Number(e.target.value) || 0) })}
+                  />
+                </label>
+              ))}
+            </div>
+            <label className="block text-[10px] font-black uppercase tracking-widest text-slate-600">
+              Alternatives
+              <input
+                type="number" min="1" max="20"
+                className="mt-1 w-full py-2 px-3 bg-white rounded-lg border border-slate-100 font-mono text-xs outline-none"
+                value={topN}
+                onChange={(e) => setTopN(Math.min(20, Math.max(1, Number(e.target.value) || 1)))}
+              />
+            </label>
+            {prepared.unpriced > 0 && (
+              <p className="text-[9px] font-bold text-slate-400">{prepared.unpriced} athletes without a {season} salary are skipped.</p>
+            )}
+          </div>
+        </div>
+
+        <button
+          onClick={handleSolve}
+          disabled={isSolving}
+          className="w-full mb-8 flex items-center justify-center gap-2 bg-slate-950 text-white font-black py-4 rounded-xl hover:bg-slate-800 disabled:opacity-50 transition-all uppercase tracking-widest text-[10px]"
+        >
+          {isSolving ? <><Loader2 size={14} className="animate-spin" /> Solving...</> : <><Sparkles size={14} /> Find Best Rosters</>}
+        </button>
+
+        {error && (
+          <div className="mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+            <AlertTriangle size={14} /> {error}
+          </div>
+        )}
+
+        {results && results.length === 0 && (
+          <p className="py-10 text-center text-[10px] font-black text-slate-300 uppercase tracking-[0.2em]">
+            No roster satisfies these constraints
+          </p>
+        )}
+
+        {results && results.length > 0 && (
+          <div className="space-y-3">
+            {lineup.length > 0 && (
+              <div className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                Current roster score: <span className="font-mono text-slate-900">{currentScore.toFixed(2)}</span>
+              </div>
+            )}
+            {results.map((r, i) => (
+              <div key={i} className="p-4 bg-slate-50 rounded-2xl border border-slate-100">
+                <div className="flex justify-between items-center mb-3">
+                  <div className="flex items-center gap-3">
+                    <span className="w-7 h-7 rounded-lg bg-slate-950 text-white flex items-center justify-center text-[10px] font-black">#{i + 1}</span>
+                    <div>
+                      <div className="text-xs font-black text-slate-900">Score {r.score.toFixed(2)}</div>
+                      <div className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                        {formatMoney(r.salary)} · {formatMoney(rules.salaryCap - r.salary)} room
+                      </div>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onApply(r.roster)}
+                    className="text-[9px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-orange-500 text-white hover:bg-orange-600 transition-all"
+                  >
+                    Use Roster
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {r.roster.map(p => (
+                    <span
+                      key={p.athlete_id}
+                      className={`px-1.5 py-0.5 rounded text-[9px] font-bold border ${pinnedIds.includes(p.athlete_id) ? 'bg-orange-50 text-orange-600 border-orange-100' : 'bg-white text-slate-600 border-slate-100'}`}
+                    >
+                      {p.player} <span className="text-slate-400">{p.position}</span>
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RotationLab = ({ lineup, rotation, readOnly, onChange }) => {
+  const byId = new Map(lineup.map(p => [p.athlete_id, p]));
+  const totalMinutes = lineup.reduce((sum, p) => sum + (rotation.minutes[p.athlete_id] || 0), 0);
+  const minutesOff = Math.round(totalMinutes) !== GAME_MINUTES;
+
+  const setMinutes = (id, value) => {
+    const mins = Math.min(MAX_PLAYER_MINUTES, Math.max(0, Number(value) || 0));
+    onChange({ ...rotation, minutes: { ...rotation.minutes, [id]: mins } });
+  };
+
+  const toggleInUnit = (index, id) => {
+    const units = rotation.units.map((u, i) => {
+      if (i !== index) return u;
+      return { ...u, ids: u.ids.includes(id) ? u.ids.filter(x => x !== id) : [...u.ids, id] };
+    });
+    onChange({ ...rotation, units });
+  };
+
+  const addUnit = () => {
+    const name = rotation.units.length === 0 ? 'Starting Five' : `Bench Unit ${rotation.units.length}`;
+    onChange({ ...rotation, units: [...rotation.units, { name, ids: [] }] });
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-8 shadow-sm border border-slate-100">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-2.5">
+          <Layers className="text-slate-400" size={18} />
+          <h2 className="text-xs font-black uppercase tracking-[0.1em] text-slate-900">Rotation Lab</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onChange(defaultRotation(lineup))}
+            disabled={readOnly}
+            className="text-[9px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-slate-50 text-slate-500 border border-slate-100 hover:bg-slate-100 disabled:opacity-30"
+          >
+            Auto-Fill
+          </button>
+          <span className={`text-[10px] font-black px-3 py-1.5 rounded-lg border ${minutesOff ? 'bg-orange-50 text-orange-600 border-orange-100' : 'bg-green-50 text-green-600 border-green-100'}`}>
+            {Math.round(totalMinutes)}/{GAME_MINUTES} MIN
+          </span>
+        </div>
+      </div>
+
+      {/* Minutes */}
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1.5 mb-6">
+        {lineup.map(p => (
+          <label key={p.athlete_id} className="flex items-center justify-between gap-2 text-[11px]">
+            <span className="font-bold text-slate-900 truncate">{p.player}</span>
+            <input
+              type="number" min="0" max={MAX_PLAYER_MINUTES}
+              className="w-14 py-1 px-2 bg-slate-50 rounded-lg border border-slate-100 text-[10px] font-mono font-bold text-slate-600 outline-none text-right disabled:opacity-60"
+              value={rotation.minutes[p.athlete_id] ?? 0}
+              disabled={readOnly}
+              onChange={(e) => setMinutes(p.athlete_id, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Units */}
+      <div className="space-y-3">
+        {rotation.units.map((unit, index) => {
+          const members = unit.ids.map(id => byId.get(id)).filter(Boolean);
+          const issues = unitIssues(members);
+          const stats = computeLineupStats(members, null);
+          return (
+            <div key={index} className={`p-4 rounded-2xl border ${issues.length > 0 ? 'bg-orange-50/40 border-orange-100' : 'bg-slate-50 border-slate-100'}`}>
+              <div className="flex justify-between items-center mb-2">
+                <span className="text-[10px] font-black text-slate-900 uppercase tracking-widest">{unit.name}</span>
+                {!readOnly && (
+                  <button
+                    onClick={() => onChange({ ...rotation, units: rotation.units.filter((_, i) => i !== index) })}
+                    className="text-slate-300 hover:text-red-500"
+                  >
+                    <X size={12} />
+                  </button>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-1 mb-2">
+                {lineup.map(p => (
+                  <button
+                    key={p.athlete_id}
+                    onClick={() => toggleInUnit(index, p.athlete_id)}
+                    disabled={readOnly || (!unit.ids.includes(p.athlete_id) && members.length >= 5)}
+                    className={`px-1.5 py-0.5 rounded text-[9px] font-bold border transition-all ${readOnly ? '' : 'disabled:opacity-30'} ${unit.ids.includes(p.athlete_id) ? 'bg-slate-950 text-white border-slate-950' : 'bg-white text-slate-500 border-slate-100 hover:border-slate-300'}`}
+                  >
+                    {p.player} <span className="opacity-60">{p.position}</span>
+                  </button>
+                ))}
+              </div>
+              {issues.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {issues.map(issue => (
+                    <span key={issue} className="flex items-center gap-1 text-[9px] font-black uppercase tracking-widest text-orange-600">
+                      <AlertTriangle size={10} /> {issue}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <div className="flex gap-3 text-[9px] font-black uppercase tracking-widest text-slate-400">
+                  {STAT_METRICS.map(m => <span key={m.key}>{m.short} <span className="text-slate-900">{Math.round(stats[m.key] * 100)}</span></span>)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {!readOnly && (
+          <button
+            onClick={addUnit}
+            className="w-full h-10 border-2 border-dashed border-slate-100 rounded-xl flex items-center justify-center gap-2 text-slate-300 hover:text-slate-500 font-bold text-[9px] uppercase tracking-widest"
+          >
+            <Plus size={12} /> {rotation.units.length === 0 ? 'Pick Starting Five' : 'Add Bench Unit'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SimilarPlayers = ({ target, mode, pool, lineup, season, capRoom, rosterFull, onPick, onClose }) => {
+  const [ignoreCap, setIgnoreCap] = useState(false);
+  const candidates = useMemo(
+    () => findSimilarPlayers(target, pool, { lineup, season, capRoom: ignoreCap ? null : capRoom }),
+    [target, pool, lineup, season, capRoom, ignoreCap]
+  );
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = candidates.find(c => c.player.athlete_id === selectedId) || candidates[0];
+  const canPick = mode === 'swap' || (mode === 'add' && !rosterFull);
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] w-full max-w-3xl p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Similar to {target.player}</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">
+              {target.position} · Same position bucket · {ignoreCap ? 'Any salary' : `Under ${formatMoney(Math.max(0, capRoom))} cap room`}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2 mb-6 text-[10px] font-bold text-slate-500 cursor-pointer">
+          <input type="checkbox" checked={ignoreCap} onChange={(e) => setIgnoreCap(e.target.checked)} />
+          Include players who don't fit under the cap
+        </label>
+
+        {candidates.length === 0 ? (
+          <p className="py-10 text-center text-[10px] font-black text-slate-300 uppercase tracking-[0.2em]">No Comparable Players Found</p>
+        ) : (
+          <div className="grid grid-cols-5 gap-6">
+            <div className="col-span-3 border border-slate-100 rounded-2xl divide-y divide-slate-50">
+              {candidates.map(({ player: p, score }) => (
+                <button
+                  key={p.athlete_id}
+                  onClick={() => setSelectedId(p.athlete_id)}
+                  className={`w-full flex items-center gap-3 px-4 py-2.5 text-left transition-all ${selected?.player.athlete_id === p.athlete_id ? 'bg-orange-50/60' : 'hover:bg-slate-50'}`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className="font-bold text-[12px] text-slate-900 truncate">{p.player}</div>
+                    <div className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">
+                      {p.position} · {p.team} · {salaryFor(p, season) != null ? formatMoney(salaryFor(p, season)) : 'No deal'}
+                    </div>
+                  </div>
+                  <span className="text-[11px] font-black text-slate-950">{Math.round(score * 100)}%</span>
+                </button>
+              ))}
+            </div>
+
+            {selected && (
+              <div className="col-span-2">
+                <RadarCompare a={target} b={selected.player} />
+                <div className="mt-2 flex justify-center gap-4 text-[9px] font-black uppercase tracking-widest">
+                  <span className="flex items-center gap-1.5 text-slate-950"><span className="w-2 h-2 rounded-full bg-slate-950" /> {target.player}</span>
+                  <span className="flex items-center gap-1.5 text-orange-600"><span className="w-2 h-2 rounded-full bg-orange-500" /> {selected.player.player}</span>
+                </div>
+                <div className="mt-4 space-y-1">
+                  {SIMILARITY_METRICS.map(key => (
+                    <div key={key} className="flex justify-between text-[10px] font-bold">
+                      <span className="text-slate-400 uppercase tracking-widest">{METRIC_LABELS[key]}</span>
+                      <span className="text-slate-900">
+                        {target[key] != null ? Math.round(target[key] * 100) : '—'} → {selected.player[key] != null ? Math.round(selected.player[key] * 100) : '—'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {mode !== 'view' && (
+                  <button
+                    onClick={() => onPick(selected.player)}
+                    disabled={!canPick}
+                    className="mt-5 w-full py-3 bg-slate-950 text-white font-black rounded-xl hover:bg-orange-600 disabled:opacity-30 transition-all uppercase tracking-widest text-[10px]"
+                  >
+                    {mode === 'swap' ? `Swap In ${selected.player.player}` : rosterFull ? 'Roster Full' : `Add ${selected.player.player}`}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RadarCompare = ({ a, b, metrics = SIMILARITY_METRICS, size = 220 }) => {
+  const center = size / 2;
+  const radius = size / 2 - 32;
+  const point = (i, value) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / metrics.length;
+    return [center + Math.cos(angle) * radius * value, center + Math.sin(angle) * radius * value];
+  };
+  const outline = (value) => metrics.map((_, i) => point(i, value).join(',')).join(' ');
+  const profile = (p) => metrics.map((key, i) => point(i, p[key] || 0).join(',')).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-[240px] mx-auto">
+      {[0.25, 0.5, 0.75, 1].map(level => (
+        <polygon key={level} points={outline(level)} fill="none" stroke="#f1f5f9" />
+      ))}
+      {metrics.map((key, i) => {
+        const [x, y] = point(i, 1);
+        const [lx, ly] = point(i, 1.2);
+        return (
+          <g key={key}>
+            <line x1={center} y1={center} x2={x} y2={y} stroke="#f1f5f9" />
+            <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" fontSize="9" fontWeight="900" fill="#94a3b8">
+              {METRIC_LABELS[key].toUpperCase()}
+            </text>
+          </g>
+        );
+      })}
+      <polygon points={profile(a)} fill="rgba(2, 6, 23, 0.08)" stroke="#020617" strokeWidth="2" />
+      <polygon points={profile(b)} fill="rgba(249, 115, 22, 0.18)" stroke="#f97316" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const MAX_COMPARE = 3;
+
+const RosterLibrary = ({ storage, user, season, currentRosterId, onOpen, onDeleted, onClose }) => {
+  const [rosters, setRosters] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [comparing, setComparing] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = storage.watchCollection(rostersPath(), { field: 'createdBy', equals: user.uid }, (docs) => {
+      // Saved trades share the collection but aren't rosters
+      const list = docs.filter(d => d.kind !== 'trade');
+      list.sort((a, b) => (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || ''));
+      setRosters(list);
+    }, (err) => {
+      console.error('Roster listener error:', err);
+      setError('Could not load your rosters.');
+    });
+    return () => unsubscribe();
+  }, [storage, user]);
+
+  const handleRename = async () => {
+    const title = renaming.title.trim();
+    if (!title) return;
+    try {
+      await storage.update(rosterPath(renaming.id), { title, updatedAt: new Date().toISOString() });
+      setRenaming(null);
+    } catch (err) {
+      console.error('Rename error:', err);
+      setError('Could not rename roster.');
+    }
+  };
+
+  const handleDelete = async (roster) => {
+    if (!window.confirm(`Delete "${roster.title || 'Untitled Roster'}"? Its share link will stop working.`)) return;
+    try {
+      await storage.remove(rosterPath(roster.id));
+      setSelected(selected.filter(id => id !== roster.id));
+      onDeleted(roster.id);
+    } catch (err) {
+      console.error('Delete error:', err);
+      setError('Could not delete roster.');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    if (selected.includes(id)) setSelected(selected.filter(x => x !== id));
+    else if (selected.length < MAX_COMPARE) setSelected([...selected, id]);
+  };
+
+  const compared = selected.map(id => rosters.find(r => r.id === id)).filter(Boolean);
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className={`bg-white rounded-[2rem] w-full p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar ${comparing ? 'max-w-5xl' : 'max-w-2xl'}`}>
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">{comparing ? 'Compare Rosters' : 'My Rosters'}</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">
+              {comparing ? `${compared.length} Side by Side · ${season} Salaries` : `${rosters.length} Saved · Select up to ${MAX_COMPARE} to compare`}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {comparing ? (
+              <button
+                onClick={() => setComparing(false)}
+                className="flex items-center gap-2 px-3 py-1.5 bg-slate-50 text-slate-500 text-[10px] font-black uppercase tracking-widest rounded-lg border border-slate-100 hover:bg-slate-100"
+              >
+                <ArrowLeft size={12} /> Library
+              </button>
+            ) : (
+              <button
+                onClick={() => setComparing(true)}
+                disabled={compared.length < 2}
+                className="flex items-center gap-2 px-3 py-1.5 bg-slate-950 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-slate-800 disabled:opacity-30 transition-all"
+              >
+                <Columns size={12} /> Compare ({compared.length})
+              </button>
+            )}
+            <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 flex items-center gap-2 p-3 bg-red-50 border border-red-100 rounded-xl text-[10px] font-bold text-red-600">
+            <AlertTriangle size={14} /> {error}
+          </div>
+        )}
+
+        {comparing ? (
+          <RosterComparison rosters={compared} season={season} />
+        ) : rosters.length === 0 ? (
+          <p className="py-10 text-center text-[10px] font-black text-slate-300 uppercase tracking-[0.2em]">No Saved Rosters</p>
+        ) : (
+          <div className="border border-slate-100 rounded-2xl divide-y divide-slate-50">
+            {rosters.map(r => (
+              <div key={r.id} className="flex items-center gap-3 px-5 py-3">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(r.id)}
+                  disabled={!selected.includes(r.id) && selected.length >= MAX_COMPARE}
+                  onChange={() => toggleSelected(r.id)}
+                />
+                <div className="flex-1 min-w-0">
+                  {renaming?.id === r.id ? (
+                    <input
+                      autoFocus
+                      className="w-full bg-slate-50 border border-slate-100 rounded-lg px-2 py-1 text-sm font-bold outline-none"
+                      value={renaming.title}
+                      onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                      onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); if (e.key === 'Escape') setRenaming(null); }}
+                      onBlur={handleRename}
+                    />
+                  ) : (
+                    <div className="font-bold text-sm text-slate-900 truncate">
+                      {r.title || 'Untitled Roster'}
+                      {r.id === currentRosterId && <span className="ml-2 text-[9px] font-black uppercase tracking-widest text-orange-500">Open</span>}
+                      {r.revoked && <span className="ml-2 text-[9px] font-black uppercase tracking-widest text-red-500">Revoked</span>}
+                      {!r.revoked && expiryDate(r.expiresAt) && (
+                        <span className="ml-2 text-[9px] font-black uppercase tracking-widest text-slate-400">
+                          {expiryDate(r.expiresAt) <= new Date() ? 'Expired' : `Expires ${expiryDate(r.expiresAt).toLocaleDateString()}`}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  <div className="text-[9px] font-bold text-slate-400 uppercase tracking-widest truncate">
+                    {(r.lineup || []).length} Athletes · {formatMoney(r.totalSalary || 0)} · {new Date(r.updatedAt || r.createdAt).toLocaleDateString()}
+                    {r.notes && ` · ${r.notes}`}
+                  </div>
+                </div>
+                <button onClick={() => setRenaming({ id: r.id, title: r.title || '' })} className="p-1.5 text-slate-300 hover:text-slate-600" title="Rename">
+                  <Pencil size={13} />
+                </button>
+                <button onClick={() => handleDelete(r)} className="p-1.5 text-slate-300 hover:text-red-500" title="Delete">
+                  <Trash2 size={13} />
+                </button>
+                <button
+                  onClick={() => onOpen(r.id, r)}
+                  className="text-[9px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg bg-slate-950 text-white hover:bg-orange-600 transition-all"
+                >
+                  Open
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RosterComparison = ({ rosters, season }) => {
+  const profiles = rosters.map(r => {
+    const lineup = r.lineup || [];
+    const minutes = r.rotation && Object.values(r.rotation.minutes || {}).some(m => m > 0) ? r.rotation.minutes : null;
+    return { roster: r, lineup, ids: new Set(lineup.map(p => p.athlete_id)), stats: computeLineupStats(lineup, season, minutes) };
+  });
+
+  const allPlayers = [];
+  const seen = new Set();
+  profiles.forEach(({ lineup }) => lineup.forEach(p => {
+    if (!seen.has(p.athlete_id)) {
+      seen.add(p.athlete_id);
+      allPlayers.push(p);
+    }
+  }));
+  // Players unique to some rosters first, shared core last
+  const sharedBy = (p) => profiles.filter(pr => pr.ids.has(p.athlete_id)).length;
+  allPlayers.sort((a, b) => sharedBy(a) - sharedBy(b) || String(a.player).localeCompare(String(b.player)));
+
+  const base = profiles[0];
+  const cols = { gridTemplateColumns: `minmax(140px, 1.2fr) repeat(${profiles.length}, minmax(0, 1fr))` };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-3 items-end" style={cols}>
+        <div />
+        {profiles.map(({ roster, lineup }) => (
+          <div key={roster.id}>
+            <div className="font-black text-sm text-slate-950 truncate">{roster.title || 'Untitled Roster'}</div>
+            <div className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">{lineup.length} Athletes</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="p-4 bg-slate-50 rounded-2xl border border-slate-100 space-y-3">
+        <div className="grid gap-3 items-center" style={cols}>
+          <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Payroll</span>
+          {profiles.map(({ roster, stats }) => {
+            const delta = (stats?.totalSalary || 0) - (base.stats?.totalSalary || 0);
+            return (
+              <div key={roster.id} className="font-mono text-xs font-black text-slate-900">
+                {formatMoney(stats?.totalSalary || 0)}
+                {roster.id !== base.roster.id && delta !== 0 && (
+                  <span className={`ml-1 text-[9px] ${delta > 0 ? 'text-red-500' : 'text-green-600'}`}>{delta > 0 ? '+' : '−'}{formatMoney(Math.abs(delta))}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        {STAT_METRICS.map(m => (
+          <div key={m.key} className="grid gap-3 items-center" style={cols}>
+            <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest">{m.label}</span>
+            {profiles.map(({ roster, stats }) => {
+              const value = stats?.[m.key] || 0;
+              const delta = Math.round((value - (base.stats?.[m.key] || 0)) * 100);
+              return (
+                <div key={roster.id}>
+                  <div className="flex justify-between text-[10px] font-black text-slate-900">
+                    {Math.round(value * 100)}%
+                    {roster.id !== base.roster.id && delta !== 0 && (
+                      <span className={delta > 0 ? 'text-green-600' : 'text-red-500'}>{delta > 0 ? '+' : ''}{delta}</span>
+                    )}
+                  </div>
+                  <div className="h-1.5 w-full bg-slate-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-slate-950" style={{ width: `${Math.round(value * 100)}%` }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div className="border border-slate-100 rounded-2xl divide-y divide-slate-50">
+        {allPlayers.map(p => {
+          const everywhere = sharedBy(p) === profiles.length;
+          return (
+            <div key={p.athlete_id} className={`grid gap-3 items-center px-4 py-2 ${everywhere ? '' : 'bg-orange-50/30'}`} style={cols}>
+              <div className="min-w-0">
+                <div className="font-bold text-[12px] text-slate-900 truncate">{p.player}</div>
+                <div className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">{p.position} · {p.team}</div>
+              </div>
+              {profiles.map(({ roster, ids }) => (
+                <div key={roster.id}>
+                  {ids.has(p.athlete_id)
+                    ? <Check size={14} className={everywhere ? 'text-slate-300' : 'text-green-600'} />
+                    : <span className="text-slate-200 font-black">—</span>}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const BENCHMARK_ROWS = [{ key: 'totalSalary', label: 'Payroll', money: true }, ...STAT_METRICS];
+
+const FranchiseCompare = ({ team, benchmarks, build, buildStats, season, onChangeTeam, onClose }) => {
+  const franchise = benchmarks.find(b => b.team === team);
+  const format = (row, value) => (row.money ? formatMoney(value) : `${Math.round(value * 100)}%`);
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] w-full max-w-4xl p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">League Benchmark</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">{benchmarks.length} Franchises · {season} Salaries</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              className="py-1.5 px-2 bg-slate-50 rounded-lg border border-slate-100 text-[10px] font-black uppercase tracking-wider outline-none text-slate-600 cursor-pointer"
+              value={team}
+              onChange={(e) => onChangeTeam(e.target.value)}
+            >
+              {benchmarks.map(b => <option key={b.team} value={b.team}>{b.team}</option>)}
+            </select>
+            <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        <table className="w-full text-left mb-8">
+          <thead>
+            <tr className="text-[9px] font-black text-slate-400 uppercase tracking-widest border-b border-slate-100">
+              <th className="py-2">Metric</th>
+              <th className="py-2 text-right">{build.title}</th>
+              <th className="py-2 text-right">{team}</th>
+              <th className="py-2 text-right">League Avg</th>
+              <th className="py-2 text-right">Our Rank</th>
+              <th className="py-2 text-right">Leader</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-50">
+            {BENCHMARK_ROWS.map(row => {
+              const ours = benchmarkRank(buildStats[row.key], benchmarks, row.key);
+              return (
+                <tr key={row.key} className="text-xs">
+                  <td className="py-2.5 text-[10px] font-black text-slate-500 uppercase tracking-widest">{row.label}</td>
+                  <td className="py-2.5 text-right font-mono font-black text-slate-950">{format(row, buildStats[row.key])}</td>
+                  <td className="py-2.5 text-right font-mono font-bold text-slate-600">{franchise ? format(row, franchise.stats[row.key]) : '—'}</td>
+                  <td className="py-2.5 text-right font-mono font-bold text-slate-400">{format(row, ours.mean)}</td>
+                  <td className="py-2.5 text-right font-black text-orange-600">#{ours.rank}<span className="text-slate-300"> / {ours.of}</span></td>
+                  <td className="py-2.5 text-right text-[10px] font-bold text-slate-500">
+                    {ours.leader.team} · {format(row, ours.leader.stats[row.key])}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {franchise && <RosterComparison rosters={[build, { id: `team-${team}`, title: team, lineup: franchise.roster }]} season={season} />}
+      </div>
+    </div>
+  );
+};
+
+const FilterMultiSelect = ({ icon: Icon, allLabel, options, selected, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 bg-slate-50 px-4 py-3 rounded-xl border border-slate-100 text-[10px] font-black uppercase tracking-wider text-slate-600"
+      >
+        <Icon size={14} className="text-slate-400" />
+        {selected.length === 0 ? allLabel : selected.length <= 2 ? selected.join(', ') : `${selected.length} Selected`}
+        <ChevronDown size={12} className="text-slate-400" />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-20" onClick={() => setOpen(false)} />
+          <div className="absolute left-0 top-full mt-2 w-48 bg-white rounded-xl shadow-2xl border border-slate-100 p-2 z-30 max-h-64 overflow-y-auto custom-scrollbar">
+            {options.map(o => (
+              <label key={o} className="flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-slate-50 text-[11px] font-bold text-slate-700 cursor-pointer">
+                <input type="checkbox" checked={selected.includes(o)} onChange={() => toggle(o)} /> {o}
+              </label>
+            ))}
+            {selected.length > 0 && (
+              <button
+                onClick={() => onChange([])}
+                className="w-full mt-1 pt-2 border-t border-slate-50 text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-700"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const ArchetypeEditor = ({ archetypes, onSave, onReset, onClose }) => {
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(archetypes)));
+  const [selected, setSelected] = useState(0);
+  const current = draft[selected];
+
+  const updateCurrent = (changes) => setDraft(draft.map((a, i) => (i === selected ? { ...a, ...changes } : a)));
+  const updateCriterion = (index, changes) => updateCurrent({ criteria: current.criteria.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  // Fractional bounds are edited as percentages, position counts as whole numbers
+  const toInput = (c, v) => (v == null ? '' : c.kind === 'positions' ? v : Math.round(v * 100));
+  const fromInput = (c, raw) => (raw === '' ? null : c.kind === 'positions' ? Number(raw) : Number(raw) / 100);
+
+  const addArchetype = () => {
+    setDraft([...draft, { id: crypto.randomUUID(), name: 'New Archetype', description: '', criteria: [{ kind: 'mean', ...ARCHETYPE_CRITERIA.mean.defaults }] }]);
+    setSelected(draft.length);
+  };
+
+  const removeArchetype = () => {
+    setDraft(draft.filter((_, i) => i !== selected));
+    setSelected(Math.max(0, selected - 1));
+  };
+
+  const inputClass = 'px-2 py-1.5 bg-slate-50 border border-slate-100 rounded-lg text-[11px] font-bold text-slate-700 outline-none focus:bg-white';
+
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] w-full max-w-3xl p-10 shadow-2xl animate-in fade-in zoom-in-95 duration-200 max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h3 className="text-xl font-black text-slate-950 uppercase tracking-tight">Archetype Library</h3>
+            <p className="text-[10px] text-slate-400 font-bold tracking-widest uppercase">A roster earns a label when it meets every criterion</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full text-slate-400 transition-colors"><X size={20} /></button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-6">
+          <div className="space-y-1">
+            {draft.map((a, i) => (
+              <button
+                key={a.id || i}
+                onClick={() => setSelected(i)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-[11px] font-bold transition-all ${i === selected ? 'bg-slate-950 text-white' : 'text-slate-600 hover:bg-slate-50'}`}
+              >
+                {a.name || 'Untitled'}
+              </button>
+            ))}
+            <button onClick={addArchetype} className="w-full flex items-center gap-1.5 px-3 py-2 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-orange-600">
+              <Plus size={12} /> Add Archetype
+            </button>
+          </div>
+
+          {current ? (
+            <div className="col-span-2 space-y-4">
+              <input className={`${inputClass} w-full text-sm`} value={current.name} onChange={(e) => updateCurrent({ name: e.target.value })} />
+              <input
+                className={`${inputClass} w-full`}
+                placeholder="Description"
+                value={current.description || ''}
+                onChange={(e) => updateCurrent({ description: e.target.value })}
+              />
+              <div className="space-y-2">
+                {current.criteria.map((c, ci) => (
+                  <div key={ci} className="flex flex-wrap items-center gap-2 p-2 bg-slate-50/60 rounded-xl border border-slate-100">
+                    <select
+                      className={inputClass}
+                      value={c.kind}
+                      onChange={(e) => updateCriterion(ci, { kind: e.target.value, ...ARCHETYPE_CRITERIA[e.target.value].defaults, max: undefined })}
+                    >
+                      {Object.entries(ARCHETYPE_CRITERIA).map(([kind, k]) => <option key={kind} value={kind}>{k.label}</option>)}
+                    </select>
+                    {c.kind === 'positions' && (
+                      <select className={inputClass} value={c.bucket} onChange={(e) => updateCriterion(ci, { bucket: e.target.value })}>
+                        {POSITION_BUCKETS.map(b => <option key={b} value={b}>{b}</option>)}
+                      </select>
+                    )}
+                    {['mean', 'top', 'share'].includes(c.kind) && (
+                      <select className={inputClass} value={c.metric} onChange={(e) => updateCriterion(ci, { metric: e.target.value })}>
+                        {Object.entries(METRIC_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                    )}
+                    {['top', 'concentration'].includes(c.kind) && (
+                      <label className="flex items-center gap-1 text-[9px] font-black uppercase text-slate-400">
+                        N <input type="number" min="1" className={`${inputClass} w-12`} value={c.n || ''} onChange={(e) => updateCriterion(ci, { n: Number(e.target.value) || null })} />
+                      </label>
+                    )}
+                    {c.kind === 'share' && (
+                      <label className="flex items-center gap-1 text-[9px] font-black uppercase text-slate-400">
+                        ≥ <input
+                          type="number"
+                          className={`${inputClass} w-14`}
+                          value={Math.round((c.threshold ?? 0.7) * 100)}
+                          onChange={(e) => updateCriterion(ci, { threshold: Number(e.target.value) / 100 })}
+                        />%
+                      </label>
+                    )}
+                    <label className="flex items-center gap-1 text-[9px] font-black uppercase text-slate-400">
+                      Min <input type="number" className={`${inputClass} w-14`} value={toInput(c, c.min)} onChange={(e) => updateCriterion(ci, { min: fromInput(c, e.target.value) })} />
+                    </label>
+                    <label className="flex items-center gap-1 text-[9px] font-black uppercase text-slate-400">
+                      Max <input type="number" className={`${inputClass} w-14`} value={toInput(c, c.max)} onChange={(e) => updateCriterion(ci, { max: fromInput(c, e.target.value) })} />
+                    </label>
+                    <button
+                      onClick={() => updateCurrent({ criteria: current.criteria.filter((_, i) => i !== ci) })}
+                      className="ml-auto p-1 text-slate-300 hover:text-red-500"
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => updateCurrent({ criteria: [...current.criteria, { kind: 'positions', ...ARCHETYPE_CRITERIA.positions.defaults }] })}
+                  className="flex items-center gap-1.5 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-orange-600"
+                >
+                  <Plus size={12} /> Add Criterion
+                </button>
+              </div>
+              <button onClick={removeArchetype} className="text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-red-500">
+                Delete Archetype
+              </button>
+            </div>
+          ) : (
+            <div className="col-span-2 py-16 text-center text-[10px] font-black uppercase tracking-widest text-slate-300">No archetypes</div>
+          )}
+        </div>
+
+        <div className="mt-8 flex justify-between">
+          <button onClick={onReset} className="text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-900">
+            Reset to Defaults
+          </button>
+          <button
+            // Round-tripping through JSON drops cleared (undefined) fields, which Firestore rejects
+            onClick={() => onSave(JSON.parse(JSON.stringify(draft)))}
+            className="px-5 py-2.5 bg-slate-950 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-slate-800 transition-all"
+          >
+            Save Library
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Printable report; the print stylesheet hides the rest of the app so Print / Save as PDF gets just this sheet
+const RosterReport = ({ title, notes, season, rosterTeam, lineup, stats, rules, compliance, archetypes, onClose }) => {
+  const overCap = stats.totalSalary > rules.salaryCap;
+  return (
+    <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-6 z-50">
+      <div className="bg-white rounded-[2rem] w-full max-w-3xl shadow-2xl max-h-[90vh] overflow-y-auto custom-scrollbar">
+        <div className="print-hidden flex justify-between items-center px-10 pt-8">
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-950 text-white text-[10px] font-black uppercase tracking-widest rounded-lg hover:bg-slate-800 transition-all"
+          >
+            <Printer size={12} /> Print / Save PDF
+          </button>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full text-slate-400 transition-colors"><X size={20} /></button>
+        </div>
+
+        <div className="print-report bg-white p-10">
+          <div className="flex justify-between items-end border-b-2 border-slate-950 pb-4 mb-6">
+            <div>
+              <div className="text-[10px] font-black text-orange-500 uppercase tracking-widest">
+                WNBA Lineup Lab · {season}{rosterTeam ? ` · ${rosterTeam}` : ''}
+              </div>
+              <h1 className="text-2xl font-black text-slate-950 uppercase tracking-tight">{title || 'Untitled Roster'}</h1>
+            </div>
+            <div className="text-[10px] font-bold text-slate-400">{new Date().toLocaleDateString()}</div>
+          </div>
+          {notes && <p className="mb-6 text-xs text-slate-600 whitespace-pre-wrap">{notes}</p>}
+
+          <table className="w-full text-left mb-8">
+            <thead>
+              <tr className="text-[9px] font-black text-slate-400 uppercase tracking-widest border-b border-slate-100">
+                <th className="py-2">Player</th>
+                <th className="py-2">Team</th>
+                <th className="py-2">Pos</th>
+                <th className="py-2 text-center">Contract</th>
+                <th className="py-2 text-right">Salary '{String(season).slice(2)}</th>
+                {STAT_METRICS.map(m => <th key={m.key} className="py-2 text-center">{m.short}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50">
+              {lineup.map(p => (
+                <tr key={p.athlete_id} className="text-xs">
+                  <td className="py-2 font-bold text-slate-900">{p.player}</td>
+                  <td className="py-2 text-slate-500">{p.team}</td>
+                  <td className="py-2 text-slate-500">{p.position}</td>
+                  <td className="py-2 text-center"><ContractTag type={p.contract_type} /></td>
+                  <td className="py-2 text-right font-mono font-bold text-slate-700">
+                    {salaryFor(p, season) != null ? formatMoney(salaryFor(p, season)) : '—'}
+                  </td>
+                  {['ts_pctile_pos', 'usage_pctile_pos', 'def_efg_pctile_pos', 'ast_pctile_pos'].map(key => (
+                    <td key={key} className="py-2 text-center"><PercentBadge value={p[key]} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="mb-8">
+            <div className="flex justify-between items-end mb-2">
+              <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Payroll</span>
+              <span className={`text-sm font-black ${overCap ? 'text-red-500' : 'text-slate-950'}`}>{formatMoney(stats.totalSalary)}</span>
+            </div>
+            <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden relative">
+              <div
+                className={`h-full ${overCap ? 'bg-red-500' : 'bg-slate-950'}`}
+                style={{ width: `${Math.min((stats.totalSalary / rules.salaryCap) * 100, 100)}%` }}
+              />
+              <div className="absolute top-0 h-full w-0.5 bg-orange-400" style={{ left: `${(rules.salaryFloor / rules.salaryCap) * 100}%` }} />
+            </div>
+            <div className="mt-1 text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+              Floor: {formatMoney(rules.salaryFloor)} · {rules.hardCap ? 'Hard ' : ''}Cap: {formatMoney(rules.salaryCap)} · {compliance.compliant ? 'Compliant' : `${compliance.violations.filter(v => v.severity === 'error').length} violation(s)`}
+            </div>
+          </div>
+
+          <div className="bg-slate-950 rounded-2xl p-6 text-white space-y-5">
+            {STAT_METRICS.map(m => <StatRow key={m.key} label={m.label} value={stats[m.key]} />)}
+            <div className="grid grid-cols-3 gap-3 pt-2">
+              {archetypes.map(r => (
+                <div key={r.archetype.id || r.archetype.name} className="bg-white/5 p-3 rounded-xl border border-white/10">
+                  <div className="text-[9px] text-slate-500 font-black uppercase mb-1">{r.matched ? 'Identity' : 'Partial Fit'} · {Math.round(r.score * 100)}%</div>
+                  <div className="text-xs font-bold">{r.archetype.name}</div>
+                  <div className="mt-1 text-[9px] text-slate-400">
+                    {r.criteria.map(c => `${c.label} ${c.display}`).join(' · ')}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CellNumber = ({ value, column }) => {
+  if (isMissingValue(value)) return <span className="font-mono text-xs font-bold text-slate-300">---</span>;
+  if (column.signed) {
+    return <span className={`font-mono text-xs font-bold ${value >= 0 ? 'text-green-600' : 'text-red-500'}`}>{formatSignedMoney(value)}</span>;
+  }
+  return (
+    <span className="font-mono text-xs font-bold text-slate-500">
+      {column.money ? formatMoney(value) : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}
+    </span>
+  );
+};
+
+const ValueScatter = ({ players, values, lineupIds, season }) => {
+  const points = players
+    .map(p => ({ p, value: values.get(p.athlete_id), salary: salaryFor(p, season) }))
+    .filter(pt => pt.value && pt.salary != null);
+  if (points.length === 0) return null;
+
+  const width = 640;
+  const height = 280;
+  const pad = { left: 44, right: 16, top: 16, bottom: 32 };
+  const maxSalary = Math.max(...points.map(pt => Math.max(pt.salary, pt.value.marketValue)));
+  const x = (salary) => pad.left + (salary / maxSalary) * (width - pad.left - pad.right);
+  const y = (impact) => height - pad.bottom - impact * (height - pad.top - pad.bottom);
+  // The market curve: what each level of impact is worth
+  const curve = [...points]
+    .sort((a, b) => a.value.impact - b.value.impact)
+    .map(pt => `${x(pt.value.marketValue)},${y(pt.value.impact)}`)
+    .join(' ');
+
+  return (
+    <div className="bg-white rounded-3xl p-8 shadow-[0_4px_20px_rgba(0,0,0,0.03)] border border-slate-100">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-2.5">
+          <ScatterChart className="text-slate-400" size={18} />
+          <h2 className="text-xs font-black uppercase tracking-[0.1em] text-slate-900">Value Map</h2>
+        </div>
+        <div className="flex items-center gap-4 text-[9px] font-black uppercase tracking-widest text-slate-400">
+          <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full bg-green-500" /> Underpaid</span>
+          <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full bg-red-400" /> Overpaid</span>
+          <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-full border-2 border-orange-500" /> Roster</span>
+          <span className="flex items-center gap-1.5"><span className="w-3 h-0.5 bg-slate-400" /> Market</span>
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        {[0, 0.25, 0.5, 0.75, 1].map(t => (
+          <g key={t}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(t)} y2={y(t)} stroke="#f1f5f9" />
+            <text x={pad.left - 8} y={y(t)} textAnchor="end" dominantBaseline="middle" fontSize="9" fontWeight="700" fill="#94a3b8">{Math.round(t * 100)}</text>
+            <text x={x(t * maxSalary)} y={height - pad.bottom + 16} textAnchor="middle" fontSize="9" fontWeight="700" fill="#94a3b8">
+              ${Math.round((t * maxSalary) / 1000)}k
+            </text>
+          </g>
+        ))}
+        <text x={12} y={pad.top + (height - pad.top - pad.bottom) / 2} transform={`rotate(-90 12 ${pad.top + (height - pad.top - pad.bottom) / 2})`} textAnchor="middle" fontSize="9" fontWeight="900" fill="#94a3b8">IMPACT</text>
+        <polyline points={curve} fill="none" stroke="#94a3b8" strokeWidth="1.5" strokeDasharray="4 3" />
+        {points.map(({ p, value, salary }) => {
+          const rostered = lineupIds.has(p.athlete_id);
+          return (
+            <circle
+              key={p.athlete_id}
+              cx={x(salary)}
+              cy={y(value.impact)}
+              r={rostered ? 5 : 3}
+              fill={value.surplus >= 0 ? '#22c55e' : '#f87171'}
+              fillOpacity={rostered ? 1 : 0.55}
+              stroke={rostered ? '#f97316' : 'none'}
+              strokeWidth="2"
+            >
+              <title>{`${p.player} · ${formatMoney(salary)} · Impact ${Math.round(value.impact * 100)} · Surplus ${formatSignedMoney(value.surplus)}`}</title>
+            </circle>
+          );
+        })}
+      </svg>
     </div>
   );
 };
 
 const PercentBadge = ({ value }) => {
-  const pct = Math.round(value * 100);
+  const pct = Math.round(Number(value) * 100);
+  // Pools often lack a percentile for some players
+  if (isMissingValue(value) || Number.isNaN(pct)) {
+    return <span className="font-mono text-xs font-bold text-slate-300">---</span>;
+  }
   let colorClass = "bg-slate-50 text-slate-400";
   if (pct >= 90) colorClass = "bg-slate-950 text-white";
   else if (pct >= 75) colorClass = "bg-slate-200 text-slate-700";
@@ -597,19 +4149,37 @@ const PercentBadge = ({ value }) => {
   );
 };
 
-const StatRow = ({ label, value }) => {
+// benchmark (optional) places the value among the league's franchises: a tick per team and our rank
+const StatRow = ({ label, value, benchmark }) => {
   const displayVal = Math.round(value * 100);
+  const rankedVal = benchmark && Math.round(benchmark.value * 100);
   return (
     <div className="space-y-2">
       <div className="flex justify-between items-center text-[9px] font-black uppercase tracking-widest">
         <span className="text-slate-500">{label}</span>
-        <span className="text-white">{displayVal}%</span>
+        <span className="text-white">
+          {benchmark && (
+            <span
+              className="mr-2 text-slate-500"
+              title={`League leader: ${benchmark.leader.team} · ${Math.round(Math.max(...benchmark.values) * 100)}%${rankedVal !== displayVal ? ` · ranked on the flat lineup average (${rankedVal}%)` : ''}`}
+            >
+              #{benchmark.rank} of {benchmark.of}{rankedVal !== displayVal && ' flat'}
+            </span>
+          )}
+          {displayVal}%
+        </span>
       </div>
-      <div className="h-1.5 w-full bg-white/5 rounded-full overflow-hidden">
+      <div className="relative h-1.5 w-full bg-white/5 rounded-full overflow-hidden">
         <div 
           className="h-full bg-white transition-all duration-1000 ease-out"
           style={{ width: `${displayVal}%` }}
         />
+        {benchmark?.values.map((v, i) => (
+          <div key={i} className="absolute top-0 h-full w-0.5 bg-orange-500/70" style={{ left: `${Math.min(v * 100, 99.5)}%` }} />
+        ))}
+        {benchmark && rankedVal !== displayVal && (
+          <div className="absolute top-0 h-full w-0.5 bg-sky-400" style={{ left: `${Math.min(benchmark.value * 100, 99.5)}%` }} />
+        )}
       </div>
     </div>
   );
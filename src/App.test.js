@@ -0,0 +1,319 @@
+import { act, cleanup, render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import App from '../12 wnba_lineup_architect_save_share.jsx';
+import { createMemoryStorage } from './storage/memoryStorage';
+import { rosterPath, tradePath } from './storage/paths';
+import { makePlayer, makePool, makeRosterDoc, poolToCsv, rosterReadRules } from './test/fixtures';
+
+// Lets sign-in and the local workspace restore settle before the test acts
+const renderApp = async (storage = createMemoryStorage()) => {
+  await act(async () => {
+    render(<App storage={storage} />);
+  });
+  return storage;
+};
+
+const importPool = (players) => {
+  fireEvent.click(screen.getByRole('button', { name: /import data/i }));
+  fireEvent.change(screen.getByPlaceholderText(/Paste CSV data here/), { target: { value: poolToCsv(players) } });
+  fireEvent.click(screen.getByRole('button', { name: /process data/i }));
+  fireEvent.click(screen.getByRole('button', { name: `Replace Pool With ${players.length} Athletes` }));
+};
+
+const addPlayers = (count) => {
+  for (let i = 0; i < count; i++) fireEvent.click(screen.getAllByTitle('Add to roster')[0]);
+};
+
+const rosterCount = () => screen.getByText(/^\d+\/12$/).textContent;
+
+afterEach(() => {
+  window.history.pushState(null, '', '/');
+});
+
+test('imports a CSV pool into the athlete table', async () => {
+  await renderApp();
+  importPool(makePool(14));
+  expect(screen.getByText('Showing 1-12 of 14')).toBeInTheDocument();
+  expect(screen.getByText('Player 01')).toBeInTheDocument();
+  expect(screen.queryByText('Player 13')).toBeNull();
+});
+
+test('shows a dash, not NaN, for a missing percentile', async () => {
+  await renderApp();
+  importPool([makePlayer(1, { ts_pctile_pos: null, def_efg_pctile_pos: null }), makePlayer(2)]);
+  const row = within(screen.getByText('Player 01').closest('tr'));
+  expect(row.getAllByText('---').length).toBeGreaterThanOrEqual(2);
+  expect(screen.queryByText('NaN')).toBeNull();
+});
+
+test('adds and removes players', async () => {
+  await renderApp();
+  importPool(makePool(5));
+  addPlayers(2);
+  expect(rosterCount()).toBe('2/12');
+  expect(screen.getByText('Showing 1-3 of 3')).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByTitle('Remove from roster')[0]);
+  expect(rosterCount()).toBe('1/12');
+  expect(screen.getByText('Showing 1-4 of 4')).toBeInTheDocument();
+});
+
+test('stops adding at the 12-player limit', async () => {
+  await renderApp();
+  importPool(makePool(14));
+  addPlayers(12);
+  expect(rosterCount()).toBe('12/12');
+  const remaining = screen.getAllByTitle('Add to roster');
+  expect(remaining).toHaveLength(2);
+  remaining.forEach(button => expect(button).toBeDisabled());
+});
+
+test('warns when the roster goes over the hard cap', async () => {
+  await renderApp();
+  const star = makePlayer(99, { player: 'Star Center', contract_type: 'Supermax', salary_2025_num: 249244 });
+  importPool([star, ...makePool(11)]);
+  addPlayers(11);
+  expect(screen.getByText('Roster Compliant')).toBeInTheDocument();
+
+  addPlayers(1);
+  expect(screen.getByText(/over the hard cap/)).toBeInTheDocument();
+  expect(screen.getByText('1 Rule Violations')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /save & share/i })).toBeNull();
+});
+
+test('saves a roster and reopens it from its share link', async () => {
+  const storage = await renderApp(createMemoryStorage({ uid: 'owner' }));
+  const pool = makePool(11);
+  importPool(pool);
+  addPlayers(11);
+  fireEvent.change(screen.getByPlaceholderText('Untitled Roster'), { target: { value: 'Title Run' } });
+  await waitFor(() => expect(screen.getByRole('button', { name: /save & share/i })).toBeEnabled());
+  fireEvent.click(screen.getByRole('button', { name: /save & share/i }));
+
+  const shareUrl = screen.getByDisplayValue(/\?roster=/).value;
+  const rosterId = new URL(shareUrl).searchParams.get('roster');
+  await waitFor(() => expect(storage.peek(rosterPath(rosterId))).not.toBe(null));
+  const saved = storage.peek(rosterPath(rosterId));
+  expect(saved).toMatchObject({ title: 'Title Run', createdBy: 'owner', totalSalary: 11 * pool[0].salary_2025_num });
+  expect(saved.lineup.map(p => p.athlete_id)).toEqual(pool.map(p => p.athlete_id));
+
+  // A guest on another device opens the link read-only
+  const guest = createMemoryStorage({ uid: 'guest', docs: { [rosterPath(rosterId).join('/')]: saved } });
+  window.history.pushState(null, '', `/?roster=${rosterId}`);
+  cleanup();
+  await renderApp(guest);
+  expect(await screen.findByText(/Viewing shared roster/)).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Title Run')).toBeInTheDocument();
+  expect(rosterCount()).toBe('11/12');
+  pool.forEach(p => expect(screen.getAllByText(p.player).length).toBeGreaterThan(0));
+});
+
+test('a shared roster shows its rotation read-only', async () => {
+  const doc = makeRosterDoc({ rotation: { minutes: { 1001: 30 }, units: [] } });
+  window.history.pushState(null, '', '/?roster=r1');
+  await renderApp(createMemoryStorage({ uid: 'guest', docs: { [rosterPath('r1').join('/')]: doc } }));
+  await screen.findByText(/Viewing shared roster/);
+  const rotationLab = within(screen.getByText('Rotation Lab').closest('.rounded-3xl'));
+  expect(rotationLab.getByLabelText('Player 01')).toBeDisabled();
+  expect(rotationLab.getByLabelText('Player 01')).toHaveValue(30);
+  expect(rotationLab.getByRole('button', { name: 'Auto-Fill' })).toBeDisabled();
+  expect(rotationLab.queryByText('Pick Starting Five')).toBeNull();
+});
+
+test('explains a share link that no longer exists', async () => {
+  window.history.pushState(null, '', '/?roster=missing');
+  await renderApp(createMemoryStorage({ deny: rosterReadRules }));
+  expect(await screen.findByText(/No roster exists at this link/)).toBeInTheDocument();
+});
+
+test('explains a share link that was revoked', async () => {
+  const doc = makeRosterDoc({ revoked: true });
+  const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.history.pushState(null, '', '/?roster=r1');
+  await renderApp(createMemoryStorage({ uid: 'guest', docs: { [rosterPath('r1').join('/')]: doc }, deny: rosterReadRules }));
+  expect(await screen.findByText(/This share link has expired or been revoked/)).toBeInTheDocument();
+  expect(logError).toHaveBeenCalledWith('Shared roster error:', expect.objectContaining({ code: 'permission-denied' }));
+  logError.mockRestore();
+});
+
+test('re-saving keeps a link expiry unless the owner changes it', async () => {
+  const expiresAt = new Date(Date.now() + 3 * 86400000).toISOString();
+  const doc = makeRosterDoc({ title: 'Expiring', expiresAt });
+  const storage = createMemoryStorage({ uid: 'owner', docs: { [rosterPath('r1').join('/')]: doc } });
+  window.history.pushState(null, '', '/?roster=r1');
+  await renderApp(storage);
+  await screen.findByDisplayValue('Expiring');
+  const saveButton = screen.getByRole('button', { name: /save & share/i });
+
+  fireEvent.click(saveButton);
+  await waitFor(() => expect(storage.peek(rosterPath('r1')).updatedAt).toBeTruthy());
+  expect(storage.peek(rosterPath('r1')).expiresAt).toBe(expiresAt);
+
+  fireEvent.change(screen.getByTitle('Applies on next save'), { target: { value: '0' } });
+  fireEvent.click(saveButton);
+  await waitFor(() => expect(storage.peek(rosterPath('r1')).expiresAt).toBe(null));
+});
+
+test('ranks against franchises on the flat average even with rotation minutes', async () => {
+  await renderApp();
+  importPool([
+    makePlayer(1, { team: 'NYL', ts_pctile_pos: 0.9 }),
+    makePlayer(2, { team: 'NYL', ts_pctile_pos: 0.1 }),
+    makePlayer(3, { team: 'LVA', ts_pctile_pos: 0.6 }),
+    makePlayer(4, { team: 'LVA', ts_pctile_pos: 0.6 }),
+  ]);
+  addPlayers(2);
+  const rotationLab = within(screen.getByText('Rotation Lab').closest('.rounded-3xl'));
+  fireEvent.change(rotationLab.getByLabelText('Player 01'), { target: { value: '30' } });
+  expect(screen.getByText(/Minutes-Weighted/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue('Compare to Franchise'), { target: { value: 'LVA' } });
+  const tsRow = within(screen.getByText('Team Efficiency (TS%)', { selector: 'td' }).closest('tr'));
+  expect(tsRow.getByText('50%')).toBeInTheDocument();
+  expect(tsRow.getByText('#2')).toBeInTheDocument();
+});
+
+test('keeps saved trades out of My Rosters', async () => {
+  await renderApp(createMemoryStorage({
+    uid: 'owner',
+    docs: {
+      [rosterPath('r1').join('/')]: makeRosterDoc({ title: 'Title Run' }),
+      [tradePath('t1').join('/')]: { kind: 'trade', teams: ['NYL', 'LVA'], moves: {}, createdBy: 'owner', createdAt: '2025-01-01T00:00:00.000Z' },
+    },
+  }));
+  fireEvent.click(screen.getByRole('button', { name: /my rosters/i }));
+  expect(await screen.findByText('Title Run')).toBeInTheDocument();
+  expect(screen.getByText(/1 Saved/)).toBeInTheDocument();
+});
+
+describe('live sessions', () => {
+  const joinLive = async (lineup) => {
+    const storage = createMemoryStorage({
+      uid: 'guest',
+      docs: { [rosterPath('live').join('/')]: makeRosterDoc({ title: 'Live Room', lineup, collaborative: true }) },
+    });
+    window.history.pushState(null, '', '/?roster=live');
+    await renderApp(storage);
+    await screen.findByDisplayValue('Live Room');
+    importPool(makePool(13));
+    return storage;
+  };
+  const addFromTable = (name) => fireEvent.click(within(screen.getByText(name).closest('tr')).getByTitle('Add to roster'));
+  const serverLineup = (storage) => storage.peek(rosterPath('live')).lineup.map(p => p.athlete_id);
+
+  test('an edit the server rejects stays out of the undo timeline', async () => {
+    const storage = await joinLive(makePool(11));
+    // Another participant fills the last spot just before our transaction runs
+    const transact = storage.transact;
+    storage.transact = async (path, update) => {
+      await storage.update(path, { lineup: makePool(12) });
+      return transact(path, update);
+    };
+    addFromTable('Player 13');
+    expect(await screen.findByText('Player 13: roster is full')).toBeInTheDocument();
+    expect(serverLineup(storage)).toEqual(makePool(12).map(p => p.athlete_id));
+    expect(screen.getByTitle('Undo (Ctrl+Z)')).toBeDisabled();
+  });
+
+  test("the owner's save keeps a collaborator's edit made since the last snapshot", async () => {
+    const storage = createMemoryStorage({
+      uid: 'owner',
+      docs: { [rosterPath('live').join('/')]: makeRosterDoc({ title: 'Live Room', lineup: makePool(11), collaborative: true }) },
+    });
+    window.history.pushState(null, '', '/?roster=live');
+    await renderApp(storage);
+    await screen.findByDisplayValue('Live Room');
+
+    // A collaborator adds a player just before the save reaches the server
+    const set = storage.set;
+    storage.set = async (path, data, options) => {
+      await storage.connect('guest').transact(path, () => ({ changes: { lineup: makePool(12) } }));
+      return set(path, data, options);
+    };
+    fireEvent.change(screen.getByDisplayValue('Live Room'), { target: { value: 'Live Room 2' } });
+    fireEvent.click(screen.getByRole('button', { name: /save & share/i }));
+    await waitFor(() => expect(storage.peek(rosterPath('live')).title).toBe('Live Room 2'));
+    expect(serverLineup(storage)).toEqual(makePool(12).map(p => p.athlete_id));
+  });
+
+  test('a team load the server rejects sets no baseline', async () => {
+    const storage = await joinLive(makePool(11));
+    const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    storage.transact = async () => {
+      const err = new Error('Missing or insufficient permissions');
+      err.code = 'permission-denied';
+      throw err;
+    };
+    fireEvent.click(screen.getByText('All Teams'));
+    fireEvent.click(screen.getByLabelText('NYL'));
+    fireEvent.click(screen.getByRole('button', { name: /load nyl/i }));
+    expect(await screen.findByText('Edit failed to sync. Try again.')).toBeInTheDocument();
+    expect(screen.queryByText(/Baseline/)).toBeNull();
+    confirm.mockRestore();
+    logError.mockRestore();
+  });
+
+  test('jumping back several steps commits them in one transaction', async () => {
+    const storage = await joinLive(makePool(9));
+    addFromTable('Player 10');
+    await waitFor(() => expect(serverLineup(storage)).toHaveLength(10));
+    addFromTable('Player 11');
+    await waitFor(() => expect(serverLineup(storage)).toHaveLength(11));
+
+    const transact = jest.spyOn(storage, 'transact');
+    fireEvent.click(screen.getByText('History'));
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    await waitFor(() => expect(serverLineup(storage)).toHaveLength(9));
+    expect(transact).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('Step 0 of 2')).toBeInTheDocument();
+  });
+});
+
+describe('clearing the roster', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('an unsaved lineup clears without asking and undo brings it back', async () => {
+    const confirm = jest.spyOn(window, 'confirm');
+    await renderApp();
+    importPool(makePool(5));
+    addPlayers(3);
+    fireEvent.click(screen.getByTitle('Clear roster'));
+    expect(confirm).not.toHaveBeenCalled();
+    expect(rosterCount()).toBe('0/12');
+    fireEvent.click(screen.getByTitle('Undo (Ctrl+Z)'));
+    expect(rosterCount()).toBe('3/12');
+  });
+
+  test('asks before detaching a saved roster', async () => {
+    const storage = createMemoryStorage({ uid: 'owner', docs: { [rosterPath('r1').join('/')]: makeRosterDoc({ title: 'Keeper' }) } });
+    window.history.pushState(null, '', '/?roster=r1');
+    await renderApp(storage);
+    await screen.findByDisplayValue('Keeper');
+
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    fireEvent.click(screen.getByTitle('Clear roster'));
+    expect(confirm).toHaveBeenCalledWith(expect.stringMatching(/link to the saved roster.*title and notes/));
+    expect(rosterCount()).toBe('11/12');
+    expect(screen.getByText(/Saved roster/)).toBeInTheDocument();
+
+    confirm.mockReturnValue(true);
+    fireEvent.click(screen.getByTitle('Clear roster'));
+    expect(rosterCount()).toBe('0/12');
+    expect(screen.getByText(/New roster/)).toBeInTheDocument();
+  });
+});
+
+test('asks before clearing a tree of what-if scenarios', async () => {
+  await renderApp();
+  importPool(makePool(5));
+  addPlayers(2);
+  fireEvent.change(screen.getByPlaceholderText(/Name a what-if/), { target: { value: 'Sign a center' } });
+  fireEvent.click(screen.getByRole('button', { name: /branch/i }));
+  expect(screen.getByText('Sign a center')).toBeInTheDocument();
+
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+  fireEvent.click(screen.getByTitle('Clear roster'));
+  expect(confirm).toHaveBeenCalledWith(expect.stringMatching(/all 2 scenarios/));
+  expect(screen.getByText('Sign a center')).toBeInTheDocument();
+  confirm.mockRestore();
+});
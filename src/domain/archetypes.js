@@ -0,0 +1,198 @@
+import { POSITION_BUCKETS } from './cap';
+import { METRIC_LABELS, playerBuckets } from './optimizer';
+import { isPlainObject } from './roster';
+
+// --- Team Archetypes ---
+// An archetype is a list of criteria, each a measurement of the lineup with an
+// optional min/max. Fit is the mean of per-criterion scores: 1 inside the range,
+// fading to 0 one `spread` outside it. Definitions are plain data so users can edit them.
+export const fractionLabel = (v) => `${Math.round(v * 100)}%`;
+
+export const metricValues = (lineup, metric) => lineup.filter(p => typeof p[metric] === 'number').sort((a, b) => b[metric] - a[metric]);
+
+export const ARCHETYPE_CRITERIA = {
+  positions: {
+    label: 'Position count',
+    defaults: { bucket: 'G', min: 4 },
+    spread: 2,
+    describe: (c) => `${c.bucket} count`,
+    measure: (lineup, c) => {
+      const drivers = lineup.filter(p => playerBuckets(p)[POSITION_BUCKETS.indexOf(c.bucket)]);
+      return { value: drivers.length, drivers };
+    },
+    format: (v) => String(v),
+  },
+  mean: {
+    label: 'Average',
+    defaults: { metric: 'ts_pctile_pos', min: 0.6 },
+    spread: 0.15,
+    describe: (c) => `Avg ${METRIC_LABELS[c.metric]}`,
+    measure: (lineup, c) => {
+      const ranked = metricValues(lineup, c.metric);
+      const value = ranked.length ? ranked.reduce((sum, p) => sum + p[c.metric], 0) / ranked.length : 0;
+      return { value, drivers: ranked.slice(0, 3) };
+    },
+    format: fractionLabel,
+  },
+  top: {
+    label: 'Top-N average',
+    defaults: { metric: 'ts_pctile_pos', n: 3, min: 0.75 },
+    spread: 0.15,
+    describe: (c) => `Top-${c.n || 3} ${METRIC_LABELS[c.metric]}`,
+    measure: (lineup, c) => {
+      const drivers = metricValues(lineup, c.metric).slice(0, c.n || 3);
+      return { value: drivers.length ? drivers.reduce((sum, p) => sum + p[c.metric], 0) / drivers.length : 0, drivers };
+    },
+    format: fractionLabel,
+  },
+  share: {
+    label: 'Share above',
+    defaults: { metric: 'def_efg_pctile_pos', threshold: 0.7, min: 0.5 },
+    spread: 0.2,
+    describe: (c) => `Share ≥ ${fractionLabel(c.threshold ?? 0.7)} ${METRIC_LABELS[c.metric]}`,
+    measure: (lineup, c) => {
+      const drivers = metricValues(lineup, c.metric).filter(p => p[c.metric] >= (c.threshold ?? 0.7));
+      return { value: lineup.length ? drivers.length / lineup.length : 0, drivers };
+    },
+    format: fractionLabel,
+  },
+  concentration: {
+    label: 'Usage concentration',
+    defaults: { n: 2, min: 0.25 },
+    spread: 0.1,
+    describe: (c) => `Top-${c.n || 2} usage share`,
+    measure: (lineup, c) => {
+      const ranked = metricValues(lineup, 'usage_pctile_pos');
+      const total = ranked.reduce((sum, p) => sum + p.usage_pctile_pos, 0);
+      const drivers = ranked.slice(0, c.n || 2);
+      return { value: total > 0 ? drivers.reduce((sum, p) => sum + p.usage_pctile_pos, 0) / total : 0, drivers };
+    },
+    format: fractionLabel,
+  },
+};
+
+export const DEFAULT_ARCHETYPES = [
+  {
+    id: 'pace-and-space',
+    name: 'Pace & Space',
+    description: 'Guard-heavy, efficient and ball-moving',
+    criteria: [
+      { kind: 'positions', bucket: 'G', min: 5 },
+      { kind: 'mean', metric: 'ts_pctile_pos', min: 0.6 },
+      { kind: 'mean', metric: 'ast_pctile_pos', min: 0.55 },
+    ],
+  },
+  {
+    id: 'twin-tower',
+    name: 'Twin Tower',
+    description: 'Size up front anchoring the defense',
+    criteria: [
+      { kind: 'positions', bucket: 'C', min: 3 },
+      { kind: 'top', metric: 'def_efg_pctile_pos', n: 2, min: 0.75 },
+    ],
+  },
+  {
+    id: 'defense-first',
+    name: 'Defense First',
+    description: 'Stops across the rotation, not just one stopper',
+    criteria: [
+      { kind: 'mean', metric: 'def_efg_pctile_pos', min: 0.65 },
+      { kind: 'share', metric: 'def_efg_pctile_pos', threshold: 0.7, min: 0.5 },
+    ],
+  },
+  {
+    id: 'star-heavy',
+    name: 'Star Heavy',
+    description: 'Offense runs through two efficient stars',
+    criteria: [
+      { kind: 'concentration', n: 2, min: 0.25 },
+      { kind: 'top', metric: 'ts_pctile_pos', n: 2, min: 0.8 },
+    ],
+  },
+  {
+    id: 'balanced-attack',
+    name: 'Balanced Attack',
+    description: 'Usage spread evenly across capable scorers',
+    criteria: [
+      { kind: 'concentration', n: 2, max: 0.2 },
+      { kind: 'share', metric: 'usage_pctile_pos', threshold: 0.5, min: 0.5 },
+    ],
+  },
+  {
+    id: 'high-volume',
+    name: 'High Volume',
+    description: 'Lots of high-usage shot creators',
+    criteria: [{ kind: 'mean', metric: 'usage_pctile_pos', min: 0.7 }],
+  },
+];
+
+export const criterionTarget = (c) => {
+  const format = ARCHETYPE_CRITERIA[c.kind].format;
+  if (c.min != null && c.max != null) return `${format(c.min)}–${format(c.max)}`;
+  if (c.min != null) return `≥ ${format(c.min)}`;
+  return c.max != null ? `≤ ${format(c.max)}` : 'any';
+};
+
+// A criterion names a known kind, plus the metric or position bucket that kind measures
+const isValidCriterion = (c) => {
+  if (!isPlainObject(c) || !Object.keys(ARCHETYPE_CRITERIA).includes(c.kind)) return false;
+  const { defaults } = ARCHETYPE_CRITERIA[c.kind];
+  if ('metric' in defaults && !Object.keys(METRIC_LABELS).includes(c.metric)) return false;
+  return !('bucket' in defaults) || POSITION_BUCKETS.includes(c.bucket);
+};
+
+export const isValidArchetype = (a) => isPlainObject(a) && typeof a.name === 'string' && Array.isArray(a.criteria)
+  && a.criteria.every(isValidCriterion);
+
+export const criterionScore = (value, c, spread) => {
+  const miss = c.min != null && value < c.min ? c.min - value : c.max != null && value > c.max ? value - c.max : 0;
+  return Math.max(0, 1 - miss / spread);
+};
+
+export const scoreArchetype = (lineup, archetype) => {
+  const criteria = archetype.criteria.map(c => {
+    const kind = ARCHETYPE_CRITERIA[c.kind];
+    const { value, drivers } = kind.measure(lineup, c);
+    return { criterion: c, label: kind.describe(c), value, display: kind.format(value), score: criterionScore(value, c, kind.spread), drivers };
+  });
+  const score = criteria.length ? criteria.reduce((sum, r) => sum + r.score, 0) / criteria.length : 0;
+  return { archetype, score, matched: criteria.length > 0 && criteria.every(r => r.score === 1), criteria };
+};
+
+export const classifyRoster = (lineup, archetypes) => (lineup.length === 0 ? [] : archetypes
+  .map(a => scoreArchetype(lineup, a))
+  .sort((a, b) => b.score - a.score));
+
+export const rosterIdentity = (results) => {
+  const matched = results.filter(r => r.matched).map(r => r.archetype.name);
+  return matched.length ? matched.join(' · ') : 'Neutral Profile';
+};
+
+// The single roster move that changes a label most: for a matched archetype, the player
+// whose loss hurts the fit most; otherwise the best add (or swap, when full) from the pool.
+export const archetypeMove = (lineup, archetype, pool, maxRoster) => {
+  const current = scoreArchetype(lineup, archetype);
+  if (current.matched) {
+    let worst = null;
+    lineup.forEach(p => {
+      const score = scoreArchetype(lineup.filter(lp => lp !== p), archetype).score;
+      if (score < current.score && (!worst || score < worst.score)) worst = { type: 'lose', player: p, score };
+    });
+    return worst || { type: 'stable' };
+  }
+  const onRoster = new Set(lineup.map(p => p.athlete_id));
+  const candidates = pool.filter(p => !onRoster.has(p.athlete_id));
+  let best = null;
+  candidates.forEach(p => {
+    if (lineup.length < maxRoster) {
+      const score = scoreArchetype([...lineup, p], archetype).score;
+      if (score > current.score && (!best || score > best.score)) best = { type: 'add', player: p, score };
+    } else {
+      lineup.forEach(out => {
+        const score = scoreArchetype(lineup.map(lp => (lp === out ? p : lp)), archetype).score;
+        if (score > current.score && (!best || score > best.score)) best = { type: 'swap', player: p, out, score };
+      });
+    }
+  });
+  return best;
+};
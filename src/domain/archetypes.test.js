@@ -0,0 +1,29 @@
+import { DEFAULT_ARCHETYPES, isValidArchetype } from './archetypes';
+
+describe('isValidArchetype', () => {
+  const withCriterion = (criterion) => ({ name: 'Custom', criteria: [criterion] });
+
+  test('accepts the defaults', () => {
+    expect(DEFAULT_ARCHETYPES.every(isValidArchetype)).toBe(true);
+  });
+
+  test('rejects unknown kinds', () => {
+    expect(isValidArchetype(withCriterion({ kind: 'vibes', min: 1 }))).toBe(false);
+    expect(isValidArchetype(withCriterion({ kind: 'toString' }))).toBe(false);
+  });
+
+  test('rejects a metric the kind cannot measure', () => {
+    expect(isValidArchetype(withCriterion({ kind: 'mean', metric: 'ts_pctile_pos', min: 0.6 }))).toBe(true);
+    expect(isValidArchetype(withCriterion({ kind: 'mean', metric: 'rebounds', min: 0.6 }))).toBe(false);
+    expect(isValidArchetype(withCriterion({ kind: 'top', n: 3 }))).toBe(false);
+  });
+
+  test('rejects an unknown position bucket', () => {
+    expect(isValidArchetype(withCriterion({ kind: 'positions', bucket: 'F', min: 2 }))).toBe(true);
+    expect(isValidArchetype(withCriterion({ kind: 'positions', bucket: 'PG', min: 2 }))).toBe(false);
+  });
+
+  test('needs no metric for usage concentration', () => {
+    expect(isValidArchetype(withCriterion({ kind: 'concentration', n: 2, min: 0.25 }))).toBe(true);
+  });
+});
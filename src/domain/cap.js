@@ -0,0 +1,249 @@
+export const SALARY_CAP = 1463000;
+export const POSITIONS = ['G', 'F', 'C', 'G-F', 'F-G', 'F-C', 'C-F'];
+export const POSITION_BUCKETS = [...new Set(POSITIONS.flatMap(pos => pos.split('-')))];
+
+// --- Cap Rules Engine ---
+// One entry per season. Contract bands are [min, max] salary for each contract class.
+export const CAP_RULES = {
+  2025: {
+    salaryCap: SALARY_CAP,
+    salaryFloor: 1222000,
+    hardCap: true,
+    roster: { min: 11, max: 12 },
+    contracts: {
+      rookie: { label: 'Rookie Scale', min: 66079, max: 78831 },
+      minimum: { label: 'Minimum', min: 66079, max: 78831 },
+      supermax: { label: 'Supermax', min: 214467, max: 249244 },
+      standard: { label: 'Standard', min: 66079, max: 214466 },
+    },
+  },
+};
+export const DEFAULT_CAP_SEASON = 2025;
+export const DEFAULT_CAP_GROWTH = 0.03;
+
+// --- Contract Years ---
+export const salaryKey = (season) => `salary_${season}_num`;
+export const salaryFor = (p, season) => p[salaryKey(season)];
+export const SALARY_KEY_PATTERN = /^salary_(\d{4})_num$/;
+
+// Every season that has a salary column somewhere in the pool.
+export const salarySeasons = (players) => {
+  const seasons = new Set();
+  players.forEach(p => Object.keys(p).forEach(key => {
+    const match = key.match(SALARY_KEY_PATTERN);
+    if (match) seasons.add(Number(match[1]));
+  }));
+  return [...seasons].sort();
+};
+
+// Falls back to the last paid season when the source has no explicit end year.
+export const contractEndYear = (p) => {
+  if (typeof p.contract_end_year === 'number') return p.contract_end_year;
+  const paid = Object.keys(p).map(key => key.match(SALARY_KEY_PATTERN)).filter(m => m && p[m[0]] != null).map(m => Number(m[1]));
+  return paid.length > 0 ? Math.max(...paid) : null;
+};
+
+// Options sit on the final contract year.
+export const isOptionYear = (p, season) => Boolean(p.option_type) && contractEndYear(p) === season;
+
+// Seasons without configured rules are extrapolated from the nearest configured season at the given growth rate.
+export const rulesForSeason = (season, growthRate = DEFAULT_CAP_GROWTH) => {
+  if (CAP_RULES[season]) return { ...CAP_RULES[season], season, projected: false };
+  const configured = Object.keys(CAP_RULES).map(Number).sort((a, b) => a - b);
+  const base = configured.filter(s => s <= season).pop() ?? configured[0];
+  const factor = Math.pow(1 + growthRate, season - base);
+  const scale = (n) => Math.round(n * factor);
+  const rules = CAP_RULES[base];
+  return {
+    ...rules,
+    season,
+    projected: true,
+    salaryCap: scale(rules.salaryCap),
+    salaryFloor: scale(rules.salaryFloor),
+    contracts: Object.fromEntries(Object.entries(rules.contracts).map(([cls, band]) => [cls, { ...band, min: scale(band.min), max: scale(band.max) }])),
+  };
+};
+
+export const contractClass = (type) => {
+  const t = String(type ?? '').toLowerCase();
+  if (t.includes('rookie')) return 'rookie';
+  if (t.includes('super')) return 'supermax';
+  if (t.includes('min')) return 'minimum';
+  return 'standard';
+};
+
+export const formatMoney = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// --- Contract Status ---
+// checkMove(player, rosterTeam) returns null when the player can legally join a roster built for rosterTeam.
+// Every check needs a franchise to sign with, so none apply while no franchise is chosen.
+export const CONTRACT_STATUSES = {
+  UFA: {
+    legend: 'UFA', label: 'Unrestricted FA', code: 'U', dot: 'bg-blue-500',
+    styles: 'bg-blue-50 text-blue-600 border border-blue-100',
+    rule: 'May sign with any team',
+    checkMove: () => null,
+  },
+  RFA: {
+    legend: 'RFA', label: 'Restricted FA', code: 'R', dot: 'bg-orange-500',
+    styles: 'bg-orange-50 text-orange-600 border border-orange-100',
+    rule: 'May sign an offer sheet; the original team can match',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'warning', message: 'Restricted FAs join via offer sheet — the original team can match',
+    }),
+  },
+  CORE: {
+    legend: 'Core', label: 'Cored', code: 'C', dot: 'bg-purple-500',
+    styles: 'bg-purple-50 text-purple-600 border border-purple-100',
+    rule: 'May only sign with the coring team',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'error', message: 'Cored players may only sign with their coring team',
+    }),
+  },
+  RESERVED: {
+    legend: 'Reserved', label: 'Reserved', code: 'RS', dot: 'bg-pink-500',
+    styles: 'bg-pink-50 text-pink-600 border border-pink-100',
+    rule: 'May only negotiate with the team holding the rights',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'error', message: 'Reserved players may only sign with the team holding their rights',
+    }),
+  },
+  EXTENSION: {
+    legend: 'Extension', label: 'Extended', code: 'E', dot: 'bg-green-500',
+    styles: 'bg-green-50 text-green-600 border border-green-100',
+    rule: 'Signed to an extension; acquisition requires a trade',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'warning', message: 'Under contract elsewhere — acquiring requires a trade',
+    }),
+  },
+  ROOKIE: {
+    legend: 'Rookie', label: 'Rookie Scale', code: 'RK', dot: 'bg-cyan-500',
+    styles: 'bg-cyan-50 text-cyan-600 border border-cyan-100',
+    rule: 'On a rookie-scale deal; acquisition requires a trade',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'warning', message: 'Under contract elsewhere — acquiring requires a trade',
+    }),
+  },
+  CONTRACT: {
+    legend: 'Contract', label: 'Under Contract', code: 'UC', dot: 'bg-slate-500',
+    styles: 'bg-slate-100 text-slate-600 border border-slate-200',
+    rule: 'Under contract; acquisition requires a trade',
+    checkMove: (p, team) => (!team || team === p.team ? null : {
+      severity: 'warning', message: 'Under contract elsewhere — acquiring requires a trade',
+    }),
+  },
+  UNKNOWN: {
+    legend: 'Unknown', label: 'Unknown', code: '?', dot: 'bg-slate-300',
+    styles: 'bg-slate-100 text-slate-400',
+    rule: 'Status not recognised',
+    checkMove: () => null,
+  },
+};
+
+// Order matters: "restricted free agent" must resolve before the bare "free agent" rule.
+export const CONTRACT_STATUS_MATCHERS = [
+  ['RFA', /\b(rfa|restricted)\b/],
+  ['UFA', /\b(ufa|unrestricted|free agent|fa)\b/],
+  ['CORE', /\b(core|cored|core player)\b/],
+  ['RESERVED', /\b(reserved?|res|rights held)\b/],
+  ['EXTENSION', /\b(ext|extension|extended)\b/],
+  ['ROOKIE', /\b(rookie|rookie scale|draft|drafted)\b/],
+  ['CONTRACT', /\b(contract|signed|guaranteed|protected|min|minimum|max|supermax|vet|veteran)\b/],
+];
+
+export const contractStatus = (type) => {
+  const text = String(type ?? '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  if (!text) return null;
+  const match = CONTRACT_STATUS_MATCHERS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'UNKNOWN';
+};
+
+export const statusViolations = (lineup, rosterTeam) => {
+  const grouped = new Map();
+  lineup.forEach(p => {
+    const status = contractStatus(p.contract_type);
+    const problem = status && CONTRACT_STATUSES[status].checkMove(p, rosterTeam);
+    if (!problem) return;
+    const key = `status-${status}`;
+    if (!grouped.has(key)) grouped.set(key, { id: key, ...problem, players: [] });
+    grouped.get(key).players.push(p.team ? `${p.player} (${p.team})` : p.player);
+  });
+  return [...grouped.values()];
+};
+
+// Returns every rule the lineup breaks. Errors block sharing; warnings are informational.
+export const evaluateRoster = (lineup, rules, { rosterTeam = null } = {}) => {
+  const violations = [];
+  const salaryOf = (p) => salaryFor(p, rules.season) || 0;
+  const payroll = lineup.reduce((sum, p) => sum + salaryOf(p), 0);
+  const names = (list) => list.map(p => p.player);
+
+  if (lineup.length < rules.roster.min) {
+    violations.push({ id: 'roster-min', severity: 'error', message: `Roster has ${lineup.length} players; minimum is ${rules.roster.min}`, players: [] });
+  }
+  if (lineup.length > rules.roster.max) {
+    violations.push({ id: 'roster-max', severity: 'error', message: `Roster has ${lineup.length} players; maximum is ${rules.roster.max}`, players: [] });
+  }
+
+  if (payroll > rules.salaryCap) {
+    const overage = payroll - rules.salaryCap;
+    // Under a soft cap, minimum deals may be signed over the cap
+    const exempt = rules.hardCap ? 0 : lineup.filter(p => contractClass(p.contract_type) === 'minimum').reduce((sum, p) => sum + salaryOf(p), 0);
+    const byCost = [...lineup].sort((a, b) => salaryOf(b) - salaryOf(a));
+    const fixes = byCost.filter(p => salaryOf(p) >= overage);
+    violations.push({
+      id: 'salary-cap',
+      severity: payroll - exempt > rules.salaryCap ? 'error' : 'warning',
+      message: rules.hardCap
+        ? `${formatMoney(overage)} over the hard cap — no exceptions apply`
+        : `${formatMoney(overage)} over the cap`,
+      players: names(fixes.length > 0 ? fixes : byCost.slice(0, 3)),
+    });
+  }
+
+  if (lineup.length > 0 && payroll < rules.salaryFloor) {
+    violations.push({ id: 'salary-floor', severity: 'warning', message: `${formatMoney(rules.salaryFloor - payroll)} under the salary floor`, players: [] });
+  }
+
+  Object.entries(rules.contracts).forEach(([cls, band]) => {
+    const outOfBand = lineup.filter(p => {
+      const salary = salaryFor(p, rules.season);
+      return contractClass(p.contract_type) === cls && salary != null && (salary < band.min || salary > band.max);
+    });
+    if (outOfBand.length > 0) {
+      violations.push({
+        id: `contract-${cls}`,
+        severity: 'error',
+        message: `${band.label} contracts must fall between ${formatMoney(band.min)} and ${formatMoney(band.max)}`,
+        players: names(outOfBand),
+      });
+    }
+  });
+
+  violations.push(...statusViolations(lineup, rosterTeam));
+
+  const unpriced = lineup.filter(p => salaryFor(p, rules.season) == null);
+  if (unpriced.length > 0) {
+    violations.push({ id: 'missing-salary', severity: 'warning', message: `No ${rules.season} salary on file — payroll is understated`, players: names(unpriced) });
+  }
+
+  return { payroll, violations, compliant: !violations.some(v => v.severity === 'error') };
+};
+
+// Per-season committed dollars, option dollars, expiring deals and space against the (projected) cap.
+export const projectCap = (lineup, seasons, growthRate) => seasons.map(season => {
+  const rules = rulesForSeason(season, growthRate);
+  let committed = 0;
+  let options = 0;
+  const expiring = [];
+  lineup.forEach(p => {
+    const salary = salaryFor(p, season);
+    if (salary == null) return;
+    if (isOptionYear(p, season)) options += salary;
+    else committed += salary;
+    if (contractEndYear(p) === season) expiring.push(p.player);
+  });
+  return { season, cap: rules.salaryCap, projected: rules.projected, committed, options, expiring, space: rules.salaryCap - committed };
+});
+
+export const formatSignedMoney = (n) => `${n >= 0 ? '+' : '−'}${formatMoney(Math.abs(n))}`;
@@ -0,0 +1,89 @@
+import { CAP_RULES, rulesForSeason, evaluateRoster, contractStatus, salarySeasons } from './cap';
+import { makePlayer, makePool } from '../test/fixtures';
+
+const rules = rulesForSeason(2025);
+const violationIds = (lineup, options) => evaluateRoster(lineup, rules, options).violations.map(v => v.id);
+
+describe('rulesForSeason', () => {
+  test('returns configured seasons as-is', () => {
+    expect(rules).toMatchObject({ ...CAP_RULES[2025], season: 2025, projected: false });
+  });
+
+  test('projects later seasons at the growth rate', () => {
+    const projected = rulesForSeason(2027, 0.1);
+    expect(projected.projected).toBe(true);
+    expect(projected.salaryCap).toBe(Math.round(CAP_RULES[2025].salaryCap * 1.21));
+    expect(projected.contracts.minimum.min).toBe(Math.round(CAP_RULES[2025].contracts.minimum.min * 1.21));
+  });
+});
+
+describe('evaluateRoster', () => {
+  test('a full roster of standard deals is compliant', () => {
+    const result = evaluateRoster(makePool(11), rules);
+    expect(result.compliant).toBe(true);
+    expect(result.violations).toEqual([]);
+  });
+
+  test('flags roster size', () => {
+    expect(violationIds(makePool(10))).toContain('roster-min');
+    expect(violationIds(makePool(13))).toContain('roster-max');
+  });
+
+  test('going over the hard cap is an error that names players who would fix it', () => {
+    const star = makePlayer(99, { player: 'Star', contract_type: 'Supermax', salary_2025_num: 249244 });
+    const result = evaluateRoster([...makePool(11), star], rules);
+    const cap = result.violations.find(v => v.id === 'salary-cap');
+    expect(result.compliant).toBe(false);
+    expect(cap.severity).toBe('error');
+    expect(cap.players[0]).toBe('Star');
+    expect(cap.message).toMatch(/over the hard cap/);
+  });
+
+  test('under a soft cap, minimum deals over the cap only warn', () => {
+    const softRules = { ...rules, hardCap: false, salaryCap: 1250000 };
+    const lineup = [...makePool(10), makePlayer(50, { contract_type: 'Minimum', salary_2025_num: 70000 })];
+    const cap = evaluateRoster(lineup, softRules).violations.find(v => v.id === 'salary-cap');
+    expect(cap.severity).toBe('warning');
+  });
+
+  test('flags salaries outside their contract band', () => {
+    const rookie = makePlayer(1, { contract_type: 'Rookie', salary_2025_num: 150000 });
+    expect(violationIds([rookie, ...makePool(11).slice(1)])).toContain('contract-rookie');
+  });
+
+  test('warns below the salary floor', () => {
+    const cheap = makePool(11).map(p => ({ ...p, salary_2025_num: 70000 }));
+    expect(violationIds(cheap)).toContain('salary-floor');
+  });
+
+  test('cored players only clear for their own team', () => {
+    const cored = makePlayer(1, { contract_type: 'Cored', team: 'NYL' });
+    expect(violationIds([cored], { rosterTeam: 'LVA' })).toContain('status-CORE');
+    expect(violationIds([cored], { rosterTeam: 'NYL' })).not.toContain('status-CORE');
+  });
+
+  test('rights checks wait until a franchise is chosen', () => {
+    const lineup = [
+      makePlayer(1, { contract_type: 'Cored', team: 'NYL' }),
+      makePlayer(2, { contract_type: 'Reserved', team: 'LVA' }),
+      ...makePool(11).slice(2),
+    ];
+    const result = evaluateRoster(lineup, rules, { rosterTeam: null });
+    expect(result.violations).toEqual([]);
+    expect(result.compliant).toBe(true);
+  });
+});
+
+describe('contractStatus', () => {
+  test('reads free-agent wording before generic contract wording', () => {
+    expect(contractStatus('Restricted Free Agent')).toBe('RFA');
+    expect(contractStatus('free agent')).toBe('UFA');
+    expect(contractStatus('Veteran Minimum')).toBe('CONTRACT');
+    expect(contractStatus('')).toBe(null);
+    expect(contractStatus('???x')).toBe('UNKNOWN');
+  });
+});
+
+test('salarySeasons lists every season with a salary column', () => {
+  expect(salarySeasons([{ salary_2026_num: 1 }, { salary_2025_num: 1, salary_2027_num: null }])).toEqual([2025, 2026, 2027]);
+});
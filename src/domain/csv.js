@@ -0,0 +1,223 @@
+import { salaryKey, SALARY_KEY_PATTERN } from './cap';
+
+// Fields the app reads from an imported pool. Any other column is kept under its normalized header.
+export const IMPORT_FIELDS = [
+  { key: 'player', label: 'Athlete Name', aliases: ['athlete_name', 'name', 'player_name', 'athlete'] },
+  { key: 'athlete_id', label: 'Athlete ID', aliases: ['id', 'player_id'] },
+  { key: 'position', label: 'Position', aliases: ['pos'] },
+  { key: 'team', label: 'Team', aliases: ['tm', 'team_abbr'] },
+  { key: 'contract_type', label: 'Contract Type', aliases: ['contract', 'contract_status'] },
+  { key: 'salary_2025_num', label: 'Salary (2025)', aliases: ['salary_2025', 'salary'] },
+  { key: 'salary_2026_num', label: 'Salary (2026)', aliases: [] },
+  { key: 'salary_2027_num', label: 'Salary (2027)', aliases: [] },
+  { key: 'contract_end_year', label: 'Contract End Year', aliases: ['contract_end', 'end_year', 'expires'] },
+  { key: 'option_type', label: 'Option Type', aliases: ['option', 'contract_option'] },
+  { key: 'ts_pctile_pos', label: 'TS% Pctl', aliases: [] },
+  { key: 'usage_pctile_pos', label: 'Usage Pctl', aliases: [] },
+  { key: 'def_efg_pctile_pos', label: 'Def eFG Pctl', aliases: [] },
+  { key: 'ast_pctile_pos', label: 'Assist Pctl', aliases: [] },
+];
+
+// --- CSV Engine (RFC 4180) ---
+export const parseCsv = (text) => {
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      line++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+export const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+export const guessColumnMap = (headers) => headers.map(header => {
+  const norm = normalizeHeader(header);
+  const field = IMPORT_FIELDS.find(f => f.key === norm || f.aliases.includes(norm));
+  if (field) return field.key;
+  // "Salary 2028", "salary_2028" and the like
+  const salaryYear = norm.match(/^salary_?(\d{4})(_num)?$/);
+  return salaryYear ? salaryKey(salaryYear[1]) : norm;
+});
+
+// Tolerates "$78,831" style currency; returns NaN for anything else non-numeric.
+export const toNumber = (val) => {
+  if (typeof val === 'number') return val;
+  const cleaned = String(val ?? '').replace(/[$,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+export const isPercentileField = (key) => key.endsWith('_pctile_pos');
+
+export const hasAthleteId = (p) => p.athlete_id !== undefined && p.athlete_id !== null && p.athlete_id !== '';
+
+// "Smith, Jr." and "smith jr" resolve to the same key; accents are folded.
+export const normalizeName = (name) => String(name ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// In merge mode a row may omit athlete_id and be matched onto the current pool by name instead.
+export const buildPlayerPool = (headers, rows, columnMap, { allowMissingId = false } = {}) => {
+  const players = [];
+  const issues = [];
+  const seenIds = new Map();
+  const seenNames = new Map();
+
+  const targets = columnMap.filter(Boolean);
+  [...new Set(targets.filter((key, i) => targets.indexOf(key) !== i))].forEach(key => {
+    issues.push({ row: 1, player: '', field: key, severity: 'warning', message: 'Several columns map to this field; the right-most wins' });
+  });
+
+  rows.forEach((values, idx) => {
+    const rowNum = idx + 2;
+    const entry = {};
+    columnMap.forEach((key, i) => {
+      if (!key) return;
+      const val = (values[i] ?? '').trim();
+      entry[key] = val === '' || isNaN(val) ? val : parseFloat(val);
+    });
+
+    const flag = (field, message, severity = 'warning') => {
+      issues.push({ row: rowNum, player: entry.player || '', field, message, severity });
+    };
+
+    if (values.length !== headers.length) {
+      flag('', `Row has ${values.length} fields, header has ${headers.length}`);
+    }
+    if (!entry.player) return flag('player', 'Missing athlete name — row skipped', 'error');
+    if (!hasAthleteId(entry)) {
+      if (!allowMissingId) return flag('athlete_id', 'Missing athlete_id — row skipped', 'error');
+      const name = normalizeName(entry.player);
+      if (seenNames.has(name)) {
+        return flag('player', `Duplicate athlete name without ID (first on row ${seenNames.get(name)}) — row skipped`, 'error');
+      }
+      seenNames.set(name, rowNum);
+    } else {
+      const id = String(entry.athlete_id);
+      if (seenIds.has(id)) {
+        return flag('athlete_id', `Duplicate athlete_id ${id} (first on row ${seenIds.get(id)}) — row skipped`, 'error');
+      }
+      seenIds.set(id, rowNum);
+    }
+
+    Object.keys(entry).filter(key => SALARY_KEY_PATTERN.test(key)).forEach(key => {
+      const raw = entry[key];
+      const salary = toNumber(raw);
+      if (raw !== '' && isNaN(salary)) flag(key, `Non-numeric salary "${raw}" — cleared`);
+      entry[key] = isNaN(salary) ? null : salary;
+    });
+
+    if ('contract_end_year' in entry) {
+      const raw = entry.contract_end_year;
+      if (raw !== '' && !Number.isInteger(raw)) flag('contract_end_year', `Contract end year "${raw}" is not a year — cleared`);
+      entry.contract_end_year = Number.isInteger(raw) ? raw : null;
+    }
+
+    Object.keys(entry).filter(isPercentileField).forEach(key => {
+      const raw = entry[key];
+      const pct = toNumber(raw);
+      if (raw === '') {
+        entry[key] = null;
+      } else if (isNaN(pct) || pct < 0 || pct > 1) {
+        flag(key, `Percentile "${raw}" outside 0–1 — cleared`);
+        entry[key] = null;
+      } else {
+        entry[key] = pct;
+      }
+    });
+
+    players.push(entry);
+  });
+
+  return { players, issues };
+};
+
+export const isBlank = (val) => val === undefined || val === null || val === '';
+
+// --- Pool Merging ---
+// Matches incoming rows onto the current pool by athlete_id, or by normalized name when the row has no ID.
+// Blank incoming values never overwrite; differing non-blank values are surfaced as conflicts.
+export const mergePlayerPools = (current, incoming) => {
+  const byId = new Map(current.map((p, i) => [String(p.athlete_id), i]));
+  const byName = new Map(current.map((p, i) => [normalizeName(p.player), i]));
+  const matches = [];
+  const conflicts = [];
+  const additions = [];
+  const unmatched = [];
+
+  incoming.forEach(row => {
+    const index = hasAthleteId(row) ? byId.get(String(row.athlete_id)) : byName.get(normalizeName(row.player));
+    if (index === undefined) {
+      if (hasAthleteId(row)) additions.push(row);
+      else unmatched.push(row);
+      return;
+    }
+
+    const target = current[index];
+    const fields = {};
+    Object.entries(row).forEach(([field, val]) => {
+      if (field === 'athlete_id' || isBlank(val)) return;
+      if (field === 'player' && normalizeName(val) === normalizeName(target.player)) return;
+      if (isBlank(target[field])) {
+        fields[field] = val;
+      } else if (String(target[field]) !== String(val)) {
+        conflicts.push({ key: `${target.athlete_id}:${field}`, index, player: target.player, field, current: target[field], incoming: val });
+      }
+    });
+    matches.push({ index, fields });
+  });
+
+  return { matches, conflicts, additions, unmatched };
+};
+
+// choices maps conflict key -> 'current' | 'incoming' (incoming wins by default).
+export const applyPlayerMerge = (current, { matches, conflicts, additions }, choices) => {
+  const next = [...current];
+  matches.forEach(({ index, fields }) => {
+    next[index] = { ...next[index], ...fields };
+  });
+  conflicts.forEach(c => {
+    if ((choices[c.key] || 'incoming') === 'incoming') next[c.index] = { ...next[c.index], [c.field]: c.incoming };
+  });
+  return [...next, ...additions];
+};
@@ -0,0 +1,84 @@
+import { parseCsv, guessColumnMap, buildPlayerPool, mergePlayerPools, applyPlayerMerge } from './csv';
+import { makePool, poolToCsv } from '../test/fixtures';
+
+const importCsv = (text, options) => {
+  const [headers, ...rows] = parseCsv(text);
+  return buildPlayerPool(headers, rows, guessColumnMap(headers), options);
+};
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes, CRLF and a BOM', () => {
+    const text = '﻿name,note\r\n"Smith, Jr.","said ""hi"""\r\nJones,"two\nlines"\r\n';
+    expect(parseCsv(text)).toEqual([
+      ['name', 'note'],
+      ['Smith, Jr.', 'said "hi"'],
+      ['Jones', 'two\nlines'],
+    ]);
+  });
+
+  test('drops blank lines', () => {
+    expect(parseCsv('a,b\n\n1,2\n ,\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('reports the line an unterminated quote starts on', () => {
+    expect(() => parseCsv('a,b\n1,"open\n2,3')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
+
+describe('guessColumnMap', () => {
+  test('maps aliases and salary years onto import fields', () => {
+    expect(guessColumnMap(['Athlete Name', 'pos', 'Salary 2026', 'Shoe Size']))
+      .toEqual(['player', 'position', 'salary_2026_num', 'shoe_size']);
+  });
+});
+
+describe('buildPlayerPool', () => {
+  test('imports a clean pool', () => {
+    const pool = makePool(3);
+    const { players, issues } = importCsv(poolToCsv(pool));
+    expect(issues).toEqual([]);
+    expect(players).toEqual(pool);
+  });
+
+  test('skips rows without an athlete_id or name, and duplicate ids', () => {
+    const { players, issues } = importCsv('Athlete ID,Athlete Name\n1,Ann\n,Bea\n2,\n1,Cat\n');
+    expect(players.map(p => p.player)).toEqual(['Ann']);
+    expect(issues.filter(i => i.severity === 'error').map(i => i.row)).toEqual([3, 4, 5]);
+  });
+
+  test('cleans currency salaries and clears bad values with a warning', () => {
+    const { players, issues } = importCsv('Athlete ID,Athlete Name,Salary,ts_pctile_pos\n1,Ann,"$78,831",1.4\n2,Bea,TBD,\n');
+    expect(players[0]).toMatchObject({ salary_2025_num: 78831, ts_pctile_pos: null });
+    expect(players[1]).toMatchObject({ salary_2025_num: null, ts_pctile_pos: null });
+    expect(issues.map(i => i.field)).toEqual(['ts_pctile_pos', 'salary_2025_num']);
+  });
+
+  test('allows rows without an ID when merging', () => {
+    const { players, issues } = importCsv('Athlete Name,Team\nAnn,NYL\n', { allowMissingId: true });
+    expect(issues).toEqual([]);
+    expect(players).toEqual([{ player: 'Ann', team: 'NYL' }]);
+  });
+});
+
+describe('pool merging', () => {
+  test('matches by id or name, adds new ids and surfaces conflicts', () => {
+    const current = makePool(2);
+    const incoming = [
+      { athlete_id: 1001, team: 'SEA' },
+      { player: 'player 02', salary_2025_num: 90000 },
+      { athlete_id: 2000, player: 'Rookie' },
+      { player: 'Nobody' },
+    ];
+    const preview = mergePlayerPools(current, incoming);
+    expect(preview.additions.map(p => p.player)).toEqual(['Rookie']);
+    expect(preview.unmatched.map(p => p.player)).toEqual(['Nobody']);
+    expect(preview.conflicts.map(c => c.field).sort()).toEqual(['salary_2025_num', 'team']);
+
+    const merged = applyPlayerMerge(current, preview, { '1001:team': 'current' });
+    expect(merged.map(p => [p.player, p.team, p.salary_2025_num])).toEqual([
+      ['Player 01', 'NYL', 120000],
+      ['Player 02', 'LVA', 90000],
+      ['Rookie', undefined, undefined],
+    ]);
+  });
+});
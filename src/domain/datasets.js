@@ -0,0 +1,23 @@
+import { datasetPath, datasetsPath } from '../storage/paths';
+
+// --- Player Datasets ---
+export const fetchDataset = async (storage, datasetId) => {
+  const data = await storage.get(datasetPath(datasetId));
+  return data ? { id: datasetId, ...data } : null;
+};
+
+export const datasetLabel = (ds) => `${ds.name} v${ds.version}`;
+
+// Datasets saved offline wait in the sync queue before the listener sees them,
+// so versions count them too
+export const queuedDatasets = (queue) => {
+  const collection = datasetsPath().join('/');
+  return queue
+    .filter(e => e.path.slice(0, -1).join('/') === collection)
+    .map(e => ({ id: e.path[e.path.length - 1], ...e.data }));
+};
+
+export const nextDatasetVersion = (datasets, name) => {
+  const key = name.trim().toLowerCase();
+  return 1 + Math.max(0, ...datasets.filter(ds => ds.name.trim().toLowerCase() === key).map(ds => ds.version || 0));
+};
@@ -0,0 +1,21 @@
+import { nextDatasetVersion, queuedDatasets } from './datasets';
+import { datasetPath, preferencesPath } from '../storage/paths';
+import { syncEntry } from '../storage/sync';
+
+describe('nextDatasetVersion', () => {
+  const saved = [{ id: 'd1', name: 'Preseason', version: 1 }, { id: 'd2', name: 'Playoffs', version: 3 }];
+
+  test('follows the highest version with the same name', () => {
+    expect(nextDatasetVersion(saved, ' preseason ')).toBe(2);
+    expect(nextDatasetVersion(saved, 'Midseason')).toBe(1);
+  });
+
+  test('counts datasets still waiting in the sync queue', () => {
+    const queue = [
+      syncEntry(datasetPath('d3'), { name: 'Preseason', version: 2, players: [] }, 'Dataset Preseason v2'),
+      syncEntry(preferencesPath('ann'), { activeDatasetId: 'd3' }, 'Active dataset'),
+    ];
+    expect(queuedDatasets(queue)).toEqual([{ id: 'd3', name: 'Preseason', version: 2, players: [] }]);
+    expect(nextDatasetVersion([...saved, ...queuedDatasets(queue)], 'Preseason')).toBe(3);
+  });
+});
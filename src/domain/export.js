@@ -0,0 +1,133 @@
+import { formatMoney } from './cap';
+import { isPlainObject } from './roster';
+import { EMPTY_ROTATION } from './rotation';
+import { STAT_METRICS } from './stats';
+
+// --- Roster Export ---
+// Everything here is built client-side from the lineup; the JSON file round-trips
+// through parseRosterExport so a roster can be restored without Firestore.
+export const ROSTER_EXPORT_FORMAT = 'wnba-lineup-lab/roster';
+export const ROSTER_EXPORT_VERSION = 1;
+
+export const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per player with every field any of them carries, in first-seen order
+export const lineupToCsv = (lineup) => {
+  const fields = [...new Set(lineup.flatMap(p => Object.keys(p)))];
+  return [fields, ...lineup.map(p => fields.map(f => p[f]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n');
+};
+
+export const buildRosterExport = ({ title, notes, season, rosterTeam, baseline, rotation, lineup, stats }) => ({
+  format: ROSTER_EXPORT_FORMAT,
+  version: ROSTER_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  title: title || 'Untitled Roster',
+  notes: notes || '',
+  season,
+  rosterTeam: rosterTeam || null,
+  baseline: baseline || null,
+  rotation,
+  lineup,
+  stats: stats || null,
+});
+
+export const parseRosterExport = (text, maxRoster) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    return { error: 'This file is not valid JSON.' };
+  }
+  if (!isPlainObject(raw) || raw.format !== ROSTER_EXPORT_FORMAT) return { error: 'This file is not a roster export.' };
+  if (raw.version > ROSTER_EXPORT_VERSION) return { error: 'This roster was exported by a newer version of the app.' };
+  if (!Array.isArray(raw.lineup) || !raw.lineup.every(p => isPlainObject(p) && p.athlete_id != null && p.player)) {
+    return { error: 'The roster file has a malformed lineup.' };
+  }
+  if (new Set(raw.lineup.map(p => p.athlete_id)).size !== raw.lineup.length) return { error: 'The roster file lists a player twice.' };
+  if (raw.lineup.length > maxRoster) return { error: `The roster file has ${raw.lineup.length} players; the limit is ${maxRoster}.` };
+  return {
+    roster: {
+      title: typeof raw.title === 'string' ? raw.title : '',
+      notes: typeof raw.notes === 'string' ? raw.notes : '',
+      season: Number.isInteger(raw.season) ? raw.season : null,
+      rosterTeam: typeof raw.rosterTeam === 'string' ? raw.rosterTeam : '',
+      baseline: isPlainObject(raw.baseline) ? raw.baseline : null,
+      rotation: isPlainObject(raw.rotation) ? raw.rotation : EMPTY_ROTATION,
+      lineup: raw.lineup,
+    },
+  };
+};
+
+export const exportFileName = (title, ext) => `${(title || 'roster').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'roster'}.${ext}`;
+
+export const ROSTER_CARD_SIZE = { width: 1200, height: 630 };
+
+// Draws the shareable roster card: header, player grid, cap bar and the four analytics bars
+export const drawRosterCard = (ctx, { title, season, rosterTeam, lineup, stats, salaryCap, identity }) => {
+  const { width, height } = ROSTER_CARD_SIZE;
+  const font = (weight, size) => `${weight} ${size}px ui-sans-serif, system-ui, sans-serif`;
+  ctx.fillStyle = '#020617';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#f97316';
+  ctx.fillRect(0, 0, width, 8);
+
+  ctx.fillStyle = '#64748b';
+  ctx.font = font(900, 18);
+  ctx.fillText(`WNBA LINEUP LAB · ${season}${rosterTeam ? ` · ${rosterTeam.toUpperCase()}` : ''}`, 60, 70);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = font(900, 48);
+  ctx.fillText(title || 'Untitled Roster', 60, 125, width - 120);
+
+  ctx.font = font(700, 20);
+  lineup.slice(0, 12).forEach((p, i) => {
+    const x = 60 + (i % 2) * 340;
+    const y = 190 + Math.floor(i / 2) * 44;
+    ctx.fillStyle = '#f97316';
+    ctx.fillText(p.position || '—', x, y);
+    ctx.fillStyle = '#e2e8f0';
+    ctx.fillText(p.player, x + 48, y, 280);
+  });
+  if (lineup.length > 12) {
+    ctx.fillStyle = '#64748b';
+    ctx.fillText(`+${lineup.length - 12} more`, 60, 190 + 6 * 44);
+  }
+
+  const panelX = 760;
+  const barWidth = width - panelX - 60;
+  ctx.fillStyle = '#64748b';
+  ctx.font = font(900, 16);
+  ctx.fillText('PAYROLL', panelX, 180);
+  ctx.fillStyle = stats.totalSalary > salaryCap ? '#ef4444' : '#ffffff';
+  ctx.font = font(900, 32);
+  ctx.fillText(formatMoney(stats.totalSalary), panelX, 220);
+  ctx.fillStyle = 'rgba(255,255,255,0.08)';
+  ctx.fillRect(panelX, 236, barWidth, 10);
+  ctx.fillStyle = stats.totalSalary > salaryCap ? '#ef4444' : '#ffffff';
+  ctx.fillRect(panelX, 236, barWidth * Math.min(stats.totalSalary / salaryCap, 1), 10);
+
+  STAT_METRICS.forEach((m, i) => {
+    const y = 300 + i * 62;
+    const pct = Math.round(stats[m.key] * 100);
+    ctx.fillStyle = '#64748b';
+    ctx.font = font(900, 15);
+    ctx.fillText(m.label.toUpperCase(), panelX, y);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${pct}%`, panelX + barWidth, y);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fillRect(panelX, y + 12, barWidth, 8);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(panelX, y + 12, barWidth * Math.min(Math.max(pct, 0), 100) / 100, 8);
+  });
+
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = font(700, 18);
+  ctx.fillText(identity, 60, height - 50, width - 120);
+};
@@ -0,0 +1,144 @@
+import { POSITION_BUCKETS, salaryFor } from './cap';
+
+// --- Roster Optimizer ---
+export const DEFAULT_OPTIMIZER_WEIGHTS = { ts_pctile_pos: 1, usage_pctile_pos: 1, def_efg_pctile_pos: 1, ast_pctile_pos: 1 };
+export const DEFAULT_BUCKET_MINS = { G: 4, F: 4, C: 2 };
+export const METRIC_LABELS = { ts_pctile_pos: 'TS%', usage_pctile_pos: 'Usage', def_efg_pctile_pos: 'Defense', ast_pctile_pos: 'Assists' };
+
+// Hybrids count toward every bucket they list, so a G-F fills both G and F minimums.
+export const playerBuckets = (p) => POSITION_BUCKETS.map(bucket => (String(p.position ?? '').split('-').includes(bucket) ? 1 : 0));
+
+// Weighted percentile in 0–1.
+export const playerScore = (p, weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+  return Object.entries(weights).reduce((sum, [key, w]) => sum + w * (p[key] || 0), 0) / total;
+};
+
+// Beam search over candidates sorted by score: each state is a partial roster, ranked by its score plus the best
+// scores it could still add. States that can no longer fill the roster, stay under the cap or meet a bucket minimum
+// are pruned. Runs inside a Web Worker via toString(), so it must stay self-contained and avoid syntax that
+// compiles to transpiler helpers (spread, destructuring, for-of).
+export function solveRosterBeam(input) {
+  var candidates = input.candidates;
+  var n = candidates.length;
+  var size = input.size;
+  var cap = input.cap;
+  var mins = input.mins;
+  var width = input.beamWidth;
+  var i, j, k;
+
+  var prefixScore = [0];
+  for (i = 0; i < n; i++) prefixScore.push(prefixScore[i] + candidates[i].score);
+  var suffixMinSalary = new Array(n + 1);
+  var suffixBuckets = new Array(n + 1);
+  suffixMinSalary[n] = Infinity;
+  suffixBuckets[n] = mins.map(function () { return 0; });
+  for (i = n - 1; i >= 0; i--) {
+    suffixMinSalary[i] = Math.min(candidates[i].salary, suffixMinSalary[i + 1]);
+    suffixBuckets[i] = suffixBuckets[i + 1].slice();
+    for (k = 0; k < mins.length; k++) suffixBuckets[i][k] += candidates[i].buckets[k];
+  }
+
+  function feasible(st, from) {
+    var need = size - st.count;
+    if (need > n - from) return false;
+    if (need > 0 && st.salary + need * suffixMinSalary[from] > cap) return false;
+    for (var b = 0; b < mins.length; b++) {
+      var deficit = mins[b] - st.buckets[b];
+      if (deficit > 0 && (deficit > need || deficit > suffixBuckets[from][b])) return false;
+    }
+    return true;
+  }
+
+  function bound(st, from) {
+    var end = Math.min(n, from + size - st.count);
+    return st.score + prefixScore[end] - prefixScore[from];
+  }
+
+  function byRank(a, b) { return b.rank - a.rank; }
+
+  var start = input.start;
+  var beam = feasible(start, 0) ? [{ count: start.count, salary: start.salary, score: start.score, buckets: start.buckets, chosen: null }] : [];
+
+  for (i = 0; i < n && beam.length > 0; i++) {
+    var c = candidates[i];
+    var next = [];
+    for (j = 0; j < beam.length; j++) {
+      var st = beam[j];
+      if (feasible(st, i + 1)) next.push(st);
+      if (st.count < size && st.salary + c.salary <= cap) {
+        var buckets = st.buckets.slice();
+        for (k = 0; k < buckets.length; k++) buckets[k] += c.buckets[k];
+        var taken = { count: st.count + 1, salary: st.salary + c.salary, score: st.score + c.score, buckets: buckets, chosen: { index: i, prev: st.chosen } };
+        if (feasible(taken, i + 1)) next.push(taken);
+      }
+    }
+    if (next.length > width) {
+      for (j = 0; j < next.length; j++) next[j].rank = bound(next[j], i + 1);
+      next.sort(byRank);
+      next.length = width;
+    }
+    beam = next;
+  }
+
+  beam.sort(function (a, b) { return b.score - a.score; });
+  return beam.slice(0, input.topN).map(function (st) {
+    var indices = [];
+    for (var node = st.chosen; node; node = node.prev) indices.push(candidates[node.index].id);
+    return { ids: indices, score: st.score, salary: st.salary };
+  });
+}
+
+export const OPTIMIZER_WORKER_SOURCE = `var solveRosterBeam = ${solveRosterBeam.toString()};
+self.onmessage = function (e) { self.postMessage(solveRosterBeam(e.data)); };`;
+
+// Returns a cancel function. Falls back to the main thread where workers are unavailable.
+export const runOptimizer = (input, onDone, onError) => {
+  if (typeof Worker === 'undefined') {
+    try {
+      onDone(solveRosterBeam(input));
+    } catch (err) {
+      onError(err);
+    }
+    return () => {};
+  }
+  const url = URL.createObjectURL(new Blob([OPTIMIZER_WORKER_SOURCE], { type: 'application/javascript' }));
+  const worker = new Worker(url);
+  const cleanup = () => {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  };
+  worker.onmessage = (e) => { cleanup(); onDone(e.data); };
+  worker.onerror = (e) => { cleanup(); onError(new Error(e.message)); };
+  worker.postMessage(input);
+  return cleanup;
+};
+
+export const buildOptimizerInput = (pool, lineup, { season, rules, weights, bucketMins, pinnedIds, excludedIds, topN }) => {
+  const pinned = lineup.filter(p => pinnedIds.includes(p.athlete_id));
+  const blocked = new Set([...excludedIds, ...pinned.map(p => p.athlete_id)]);
+  const priced = pool.filter(p => !blocked.has(p.athlete_id) && salaryFor(p, season) != null);
+  const candidates = priced
+    .map(p => ({ id: p.athlete_id, salary: salaryFor(p, season), score: playerScore(p, weights), buckets: playerBuckets(p) }))
+    .sort((a, b) => b.score - a.score);
+  const sum = (list, fn) => list.reduce((total, p) => total + fn(p), 0);
+
+  return {
+    input: {
+      candidates,
+      size: Math.min(rules.roster.max, pinned.length + candidates.length),
+      cap: rules.salaryCap,
+      mins: POSITION_BUCKETS.map(bucket => bucketMins[bucket] || 0),
+      beamWidth: 1500,
+      topN,
+      start: {
+        count: pinned.length,
+        salary: sum(pinned, p => salaryFor(p, season) || 0),
+        score: sum(pinned, p => playerScore(p, weights)),
+        buckets: POSITION_BUCKETS.map((_, b) => sum(pinned, p => playerBuckets(p)[b])),
+      },
+    },
+    pinned,
+    unpriced: pool.filter(p => !blocked.has(p.athlete_id) && salaryFor(p, season) == null).length,
+  };
+};
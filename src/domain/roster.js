@@ -0,0 +1,273 @@
+import { salaryFor, evaluateRoster } from './cap';
+import { computeLineupStats, STAT_METRICS } from './stats';
+
+// --- Shared Roster Schema ---
+export const ROSTER_SCHEMA_VERSION = 4;
+export const LINK_EXPIRY_OPTIONS = [
+  { days: 0, label: 'Never Expires' },
+  { days: 7, label: 'Expires in 7 Days' },
+  { days: 30, label: 'Expires in 30 Days' },
+];
+
+// Each step lifts a document by one version. Documents without a
+// schemaVersion predate the field and are treated as v1.
+export const ROSTER_MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    title: data.title || 'Untitled Roster',
+    notes: data.notes || '',
+    revoked: false,
+    expiresAt: null,
+    schemaVersion: 2,
+  }),
+  2: (data) => ({
+    ...data,
+    commandHistory: { commands: [], cursor: 0 },
+    schemaVersion: 3,
+  }),
+  3: (data) => ({
+    ...data,
+    scenarios: null,
+    schemaVersion: 4,
+  }),
+};
+
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// expiresAt is saved as a Date, which Firestore stores as a Timestamp so
+// security rules can compare it to request.time
+export const expiryDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+// Returns { roster } with the document migrated to the current schema, or
+// { error: { kind, message } }. Owners can always open their own rosters,
+// even after revoking or letting the link expire.
+export const validateRosterDoc = (raw, viewerUid, now = new Date()) => {
+  const corrupt = (reason) => ({ error: { kind: 'corrupt', message: `This link points to a damaged roster (${reason}).` } });
+  if (!isPlainObject(raw)) return corrupt('not a roster document');
+
+  let data = raw;
+  let version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) return corrupt('unknown schema version');
+  if (version > ROSTER_SCHEMA_VERSION) {
+    return { error: { kind: 'unsupported', message: 'This roster was saved by a newer version of the app. Reload to update.' } };
+  }
+  while (version < ROSTER_SCHEMA_VERSION) {
+    data = ROSTER_MIGRATIONS[version](data);
+    version = data.schemaVersion;
+  }
+
+  if (!Array.isArray(data.lineup)) return corrupt('missing lineup');
+  if (!data.lineup.every(p => isPlainObject(p) && p.athlete_id != null && typeof p.player === 'string')) return corrupt('malformed player entry');
+  if (typeof data.createdBy !== 'string') return corrupt('missing author');
+  if (data.rotation != null && !(isPlainObject(data.rotation) && isPlainObject(data.rotation.minutes || {}))) return corrupt('malformed rotation');
+  if (data.baseline != null && !(isPlainObject(data.baseline) && Array.isArray(data.baseline.lineup))) return corrupt('malformed baseline');
+  const history = data.commandHistory;
+  if (!isPlainObject(history) || !Array.isArray(history.commands) || !Number.isInteger(history.cursor)
+    || history.cursor < 0 || history.cursor > history.commands.length
+    || !history.commands.every(c => isPlainObject(c) && isPlainObject(c.op) && isPlainObject(c.inverse))) {
+    return corrupt('malformed history');
+  }
+  const tree = data.scenarios;
+  if (tree != null && !(isPlainObject(tree) && Array.isArray(tree.items) && tree.items.some(s => s?.id === tree.activeId)
+    && tree.items.every(s => isPlainObject(s) && typeof s.id === 'string' && typeof s.name === 'string' && Array.isArray(s.lineup)))) {
+    return corrupt('malformed scenarios');
+  }
+
+  if (data.createdBy !== viewerUid) {
+    if (data.revoked) return { error: { kind: 'revoked', message: 'The owner revoked this share link.' } };
+    const expires = expiryDate(data.expiresAt);
+    if (expires && expires <= now) {
+      return { error: { kind: 'expired', message: `This share link expired on ${expires.toLocaleDateString()}.` } };
+    }
+  }
+  return { roster: data };
+};
+
+// Applies one shared edit to the server's lineup. Edits replay inside a
+// transaction, so concurrent ones serialize: the first to commit wins and a
+// later add that no longer fits (or duplicates) is rejected.
+export const applyRosterOp = (lineup, op, maxRoster) => {
+  if (op.type === 'add') {
+    if (lineup.some(p => p.athlete_id === op.player.athlete_id)) return { lineup, rejected: 'already on the roster' };
+    if (lineup.length >= maxRoster) return { lineup, rejected: 'roster is full' };
+    // Undoing a removal puts the player back in their old slot
+    if (op.index != null && op.index >= 0 && op.index <= lineup.length) {
+      return { lineup: [...lineup.slice(0, op.index), op.player, ...lineup.slice(op.index)] };
+    }
+    return { lineup: [...lineup, op.player] };
+  }
+  if (op.type === 'remove') {
+    if (!lineup.some(p => p.athlete_id === op.player.athlete_id)) return { lineup, rejected: 'no longer on the roster' };
+    return { lineup: lineup.filter(p => p.athlete_id !== op.player.athlete_id) };
+  }
+  if (op.type === 'replace') {
+    // fromIds is the lineup the replace was built from. If the lineup has changed
+    // since (another participant's edit), apply only the removes and adds it implies,
+    // so the other edit survives.
+    const fromIds = op.fromIds;
+    if (!fromIds || (lineup.length === fromIds.length && lineup.every((p, i) => p.athlete_id === fromIds[i]))) {
+      return { lineup: op.lineup };
+    }
+    const from = new Set(fromIds);
+    const target = new Set(op.lineup.map(p => p.athlete_id));
+    const kept = lineup.filter(p => !from.has(p.athlete_id) || target.has(p.athlete_id));
+    const keptIds = new Set(kept.map(p => p.athlete_id));
+    const added = op.lineup.filter(p => !from.has(p.athlete_id) && !keptIds.has(p.athlete_id));
+    if (kept.length + added.length > maxRoster) return { lineup, rejected: 'roster is full' };
+    return { lineup: [...kept, ...added] };
+  }
+  return { lineup, rejected: 'unknown edit' };
+};
+
+export const replaceOp = (from, lineup, label) => ({ type: 'replace', lineup, fromIds: from.map(p => p.athlete_id), label });
+
+// --- Live Sessions ---
+export const LIVE_HISTORY_LIMIT = 100;
+
+// The transaction body for a live edit: applies ops in order to the server's document,
+// all or nothing. Returns { changes, result } for storage.transact, where result is
+// { before } (the lineup the ops started from) or { rejected }.
+export const applyLiveOps = (data, ops, { maxRoster, season, uid, now = new Date().toISOString() }) => {
+  if (!data) return { result: { rejected: 'roster was deleted' } };
+  let next = data.lineup || [];
+  const entries = [];
+  for (const op of ops) {
+    const result = applyRosterOp(next, op, maxRoster);
+    if (result.rejected) return { result: { rejected: `${op.player?.player || op.label}: ${result.rejected}` } };
+    next = result.lineup;
+    entries.push({ type: op.type, label: op.player?.player || op.label, by: uid, at: now });
+  }
+  return {
+    changes: {
+      lineup: next,
+      totalSalary: next.reduce((sum, p) => sum + (salaryFor(p, season) || 0), 0),
+      history: [...(data.history || []), ...entries].slice(-LIVE_HISTORY_LIMIT),
+      updatedAt: now,
+    },
+    result: { before: data.lineup || [] },
+  };
+};
+
+// --- Roster History ---
+// Every lineup edit is recorded as a command with its inverse; the cursor marks
+// how many commands are applied. Undo runs inverses, redo re-runs ops.
+export const HISTORY_LIMIT = 50;
+export const EMPTY_HISTORY = { commands: [], cursor: 0 };
+export const MAX_SAVED_HISTORY_BYTES = 500000;
+
+export const invertRosterOp = (op, lineup) => {
+  if (op.type === 'add') return { type: 'remove', player: op.player };
+  if (op.type === 'remove') {
+    return { type: 'add', player: op.player, index: lineup.findIndex(p => p.athlete_id === op.player.athlete_id) };
+  }
+  return replaceOp(op.lineup, lineup, op.label);
+};
+
+export const describeRosterOp = (op) => {
+  if (op.type === 'add') return `Added ${op.player.player}`;
+  if (op.type === 'remove') return `Removed ${op.player.player}`;
+  return op.label || 'Replaced roster';
+};
+
+export const recordCommand = (history, op, lineup) => {
+  const command = { op, inverse: invertRosterOp(op, lineup), label: describeRosterOp(op), at: new Date().toISOString() };
+  const commands = [...history.commands.slice(0, history.cursor), command].slice(-HISTORY_LIMIT);
+  return { commands, cursor: commands.length };
+};
+
+// Rebuilds the lineup at any step from the lineup at the history's cursor
+export const lineupAtStep = (lineup, history, step) => {
+  let result = lineup;
+  for (let i = history.cursor - 1; i >= step; i--) result = applyRosterOp(result, history.commands[i].inverse, Infinity).lineup;
+  for (let i = history.cursor; i < step; i++) result = applyRosterOp(result, history.commands[i].op, Infinity).lineup;
+  return result;
+};
+
+// Drops the oldest commands until the history fits comfortably in a roster document.
+// Returns how many were dropped so step links can be offset.
+export const fitHistory = (history, maxBytes = MAX_SAVED_HISTORY_BYTES) => {
+  let dropped = 0;
+  while (dropped < history.cursor && JSON.stringify(history.commands.slice(dropped)).length > maxBytes) dropped++;
+  return { history: { commands: history.commands.slice(dropped), cursor: history.cursor - dropped }, dropped };
+};
+
+export const historySignature = (history) => `${history.commands.length}:${history.commands[history.commands.length - 1]?.at || ''}`;
+
+// --- Scenarios ---
+// A scenario tree holds parallel what-if rosters branched from a base. The active
+// scenario's roster lives in the app's lineup state; the tree keeps everyone else's.
+export const MAX_SCENARIOS = 8;
+
+export const newScenario = (name, parentId, { lineup, rotation, history }) => ({
+  id: crypto.randomUUID(), name, parentId, lineup, rotation, history,
+});
+
+export const startScenarioTree = (working) => {
+  const base = newScenario('Base', null, working);
+  return { activeId: base.id, items: [base] };
+};
+
+// Writes the working roster back into the active scenario
+export const syncActiveScenario = (tree, working) => ({
+  ...tree,
+  items: tree.items.map(s => (s.id === tree.activeId ? { ...s, ...working } : s)),
+});
+
+export const branchScenario = (tree, name, working) => {
+  const child = newScenario(name, tree.activeId, { ...working, history: EMPTY_HISTORY });
+  return { activeId: child.id, items: [...syncActiveScenario(tree, working).items, child] };
+};
+
+// Removes a scenario with all its branches; if the active one goes, its parent takes over
+export const scenarioBranches = (tree, id) => tree.items
+  .filter(s => s.parentId === id)
+  .flatMap(s => [s.id, ...scenarioBranches(tree, s.id)]);
+
+export const removeScenario = (tree, id) => {
+  const doomed = new Set([id, ...scenarioBranches(tree, id)]);
+  const removed = tree.items.find(s => s.id === id);
+  return { activeId: doomed.has(tree.activeId) ? removed.parentId : tree.activeId, items: tree.items.filter(s => !doomed.has(s.id)) };
+};
+
+// Depth-first, so branches list under their parent
+export const orderScenarios = (tree) => {
+  const walk = (parentId, depth) => tree.items
+    .filter(s => (s.parentId ?? null) === parentId)
+    .flatMap(s => [{ scenario: s, depth }, ...walk(s.id, depth + 1)]);
+  return walk(null, 0);
+};
+
+export const scenarioSummary = (tree, season, rules, rosterTeam) => {
+  const rows = orderScenarios(tree).map(({ scenario, depth }) => {
+    const minutes = scenario.rotation && Object.values(scenario.rotation.minutes || {}).some(m => m > 0) ? scenario.rotation.minutes : null;
+    const payroll = evaluateRoster(scenario.lineup, rules, { rosterTeam }).payroll;
+    return { scenario, depth, payroll, capRoom: rules.salaryCap - payroll, stats: computeLineupStats(scenario.lineup, season, minutes) };
+  });
+  const base = rows.find(r => r.depth === 0);
+  return rows.map(r => ({
+    ...r,
+    deltas: Object.fromEntries(STAT_METRICS.map(m => [m.key, (r.stats?.[m.key] || 0) - (base.stats?.[m.key] || 0)])),
+    payrollDelta: r.payroll - base.payroll,
+  }));
+};
+
+// Undo histories stay on this device; the saved tree carries only the rosters
+export const serializeScenarios = (tree) => ({
+  activeId: tree.activeId,
+  items: tree.items.map(({ history, ...s }) => s),
+});
+
+// --- Team Baseline ---
+// Moves are the net difference from the loaded franchise roster, so an add undone by a remove drops out of the log.
+export const diffAgainstBaseline = (baselineLineup, lineup, season) => {
+  const baseIds = new Set(baselineLineup.map(p => p.athlete_id));
+  const currentIds = new Set(lineup.map(p => p.athlete_id));
+  const toMove = (type) => (p) => ({ type, athlete_id: p.athlete_id, player: p.player, salary: salaryFor(p, season) || 0 });
+  const removed = baselineLineup.filter(p => !currentIds.has(p.athlete_id)).map(toMove('remove'));
+  const added = lineup.filter(p => !baseIds.has(p.athlete_id)).map(toMove('add'));
+  const capDelta = added.reduce((sum, m) => sum + m.salary, 0) - removed.reduce((sum, m) => sum + m.salary, 0);
+  return { moves: [...removed, ...added], capDelta };
+};
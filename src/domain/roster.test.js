@@ -0,0 +1,176 @@
+import {
+  ROSTER_SCHEMA_VERSION,
+  validateRosterDoc,
+  applyRosterOp,
+  recordCommand,
+  lineupAtStep,
+  EMPTY_HISTORY,
+  replaceOp,
+  applyLiveOps,
+} from './roster';
+import { createMemoryStorage } from '../storage/memoryStorage';
+import { rosterPath } from '../storage/paths';
+import { makePlayer, makePool, makeRosterDoc } from '../test/fixtures';
+
+const MAX = 12;
+
+describe('applyRosterOp', () => {
+  test('adds and removes players', () => {
+    const [a, b] = makePool(2);
+    const added = applyRosterOp([a], { type: 'add', player: b }, MAX);
+    expect(added.lineup).toEqual([a, b]);
+    expect(applyRosterOp(added.lineup, { type: 'remove', player: a }, MAX).lineup).toEqual([b]);
+  });
+
+  test('rejects a thirteenth player', () => {
+    const full = makePool(MAX);
+    const result = applyRosterOp(full, { type: 'add', player: makePlayer(13) }, MAX);
+    expect(result).toEqual({ lineup: full, rejected: 'roster is full' });
+  });
+
+  test('rejects duplicates and removing someone already gone', () => {
+    const [a, b] = makePool(2);
+    expect(applyRosterOp([a], { type: 'add', player: a }, MAX).rejected).toBe('already on the roster');
+    expect(applyRosterOp([a], { type: 'remove', player: b }, MAX).rejected).toBe('no longer on the roster');
+  });
+
+  test('re-adding at an index restores the old slot', () => {
+    const [a, b, c] = makePool(3);
+    expect(applyRosterOp([a, c], { type: 'add', player: b, index: 1 }, MAX).lineup).toEqual([a, b, c]);
+  });
+});
+
+describe('replace ops', () => {
+  const [a, b, c, d, e] = makePool(5);
+
+  test('replace the lineup outright when it is unchanged', () => {
+    expect(applyRosterOp([a, b], replaceOp([a, b], [c, a], 'Auto-Build'), MAX).lineup).toEqual([c, a]);
+  });
+
+  test('merge as removes and adds when the lineup moved on', () => {
+    // Built from [a, b] as "swap b for c"; someone else added d meanwhile
+    const op = replaceOp([a, b], [a, c], 'Swap');
+    expect(applyRosterOp([a, b, d], op, MAX).lineup).toEqual([a, d, c]);
+  });
+
+  test('reject a stale replace that no longer fits', () => {
+    const op = replaceOp([a, b], [a, b, c], 'Auto-Build');
+    expect(applyRosterOp([a, b, d], op, 3)).toEqual({ lineup: [a, b, d], rejected: 'roster is full' });
+  });
+
+  test('undo a replace without dropping a later edit', () => {
+    const history = recordCommand(EMPTY_HISTORY, replaceOp([a, b], [c], 'Load'), [a, b]);
+    const undo = history.commands[0].inverse;
+    expect(applyRosterOp([c, e], undo, MAX).lineup).toEqual([e, a, b]);
+  });
+});
+
+describe('live sessions through storage.transact', () => {
+  const path = rosterPath('live');
+  const options = (uid) => ({ maxRoster: MAX, season: 2025, uid });
+
+  const setup = (lineup) => {
+    const ann = createMemoryStorage({ uid: 'ann', docs: { [path.join('/')]: makeRosterDoc({ lineup, collaborative: true }) } });
+    return { ann, bea: ann.connect('bea') };
+  };
+
+  test("a stale Auto-Build keeps a collaborator's concurrent add", async () => {
+    const pool = makePool(12);
+    const { ann, bea } = setup(pool.slice(0, 8));
+    // Both clients start from the same eight players
+    const annView = (await ann.get(path)).lineup;
+    const build = replaceOp(annView, [...annView.slice(1), pool[8], pool[9]], 'Applied Auto-Build');
+
+    const beaResult = await bea.transact(path, data => applyLiveOps(data, [{ type: 'add', player: pool[10] }], options('bea')));
+    const annResult = await ann.transact(path, data => applyLiveOps(data, [build], options('ann')));
+
+    expect(beaResult.before).toHaveLength(8);
+    expect(annResult.rejected).toBeUndefined();
+    const saved = ann.peek(path);
+    expect(saved.lineup.map(p => p.athlete_id)).toEqual([1002, 1003, 1004, 1005, 1006, 1007, 1008, 1011, 1009, 1010]);
+    expect(saved.history.map(h => h.by)).toEqual(['bea', 'ann']);
+  });
+
+  test('the second of two adds for the last spot is rejected, all or nothing', async () => {
+    const pool = makePool(13);
+    const { ann, bea } = setup(pool.slice(0, 11));
+    await ann.transact(path, data => applyLiveOps(data, [{ type: 'add', player: pool[11] }], options('ann')));
+    const result = await bea.transact(path, data => applyLiveOps(data, [
+      { type: 'remove', player: pool[0] },
+      { type: 'add', player: pool[12] },
+      { type: 'add', player: pool[0] },
+    ], options('bea')));
+
+    expect(result).toEqual({ rejected: 'Player 01: roster is full' });
+    expect(bea.peek(path).lineup).toHaveLength(12);
+    expect(bea.peek(path).lineup.some(p => p.athlete_id === 1013)).toBe(false);
+    expect(bea.peek(path).history).toHaveLength(1);
+  });
+
+  test('an edit to a deleted roster is rejected', async () => {
+    const { ann } = setup([]);
+    await ann.remove(path);
+    expect(await ann.transact(path, data => applyLiveOps(data, [], options('ann')))).toEqual({ rejected: 'roster was deleted' });
+  });
+});
+
+describe('roster history', () => {
+  test('replays the lineup at any step', () => {
+    const [a, b, c] = makePool(3);
+    let history = EMPTY_HISTORY;
+    let lineup = [];
+    [{ type: 'add', player: a }, { type: 'add', player: b }, { type: 'remove', player: a }, { type: 'add', player: c }].forEach(op => {
+      history = recordCommand(history, op, lineup);
+      lineup = applyRosterOp(lineup, op, MAX).lineup;
+    });
+    expect(lineup).toEqual([b, c]);
+    expect(lineupAtStep(lineup, history, 0)).toEqual([]);
+    expect(lineupAtStep(lineup, history, 2)).toEqual([a, b]);
+    expect(lineupAtStep(lineup, history, 3)).toEqual([b]);
+  });
+});
+
+describe('validateRosterDoc', () => {
+  const doc = (overrides = {}) => ({
+    schemaVersion: ROSTER_SCHEMA_VERSION,
+    title: 'Test',
+    lineup: makePool(2),
+    createdBy: 'owner',
+    commandHistory: { commands: [], cursor: 0 },
+    scenarios: null,
+    ...overrides,
+  });
+
+  test('accepts a current document', () => {
+    expect(validateRosterDoc(doc(), 'owner').roster).toEqual(doc());
+  });
+
+  test('migrates a version 1 document', () => {
+    const { roster } = validateRosterDoc({ lineup: makePool(1), createdBy: 'owner' }, 'owner');
+    expect(roster).toMatchObject({
+      schemaVersion: ROSTER_SCHEMA_VERSION,
+      title: 'Untitled Roster',
+      revoked: false,
+      commandHistory: { commands: [], cursor: 0 },
+      scenarios: null,
+    });
+  });
+
+  test('rejects damaged documents', () => {
+    expect(validateRosterDoc(null, 'owner').error.kind).toBe('corrupt');
+    expect(validateRosterDoc(doc({ lineup: [{ player: 'No ID' }] }), 'owner').error.message).toMatch(/malformed player entry/);
+    expect(validateRosterDoc(doc({ commandHistory: { commands: [], cursor: 3 } }), 'owner').error.message).toMatch(/malformed history/);
+    expect(validateRosterDoc(doc({ scenarios: { items: [], activeId: 'x' } }), 'owner').error.message).toMatch(/malformed scenarios/);
+  });
+
+  test('rejects documents from a newer app', () => {
+    expect(validateRosterDoc(doc({ schemaVersion: ROSTER_SCHEMA_VERSION + 1 }), 'owner').error.kind).toBe('unsupported');
+  });
+
+  test('hides revoked and expired links from everyone but the owner', () => {
+    const now = new Date('2025-06-01');
+    expect(validateRosterDoc(doc({ revoked: true }), 'guest', now).error.kind).toBe('revoked');
+    expect(validateRosterDoc(doc({ expiresAt: '2025-05-01' }), 'guest', now).error.kind).toBe('expired');
+    expect(validateRosterDoc(doc({ revoked: true, expiresAt: '2025-05-01' }), 'owner', now).roster).toBeTruthy();
+  });
+});
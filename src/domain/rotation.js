@@ -0,0 +1,67 @@
+import { POSITION_BUCKETS } from './cap';
+import { DEFAULT_OPTIMIZER_WEIGHTS, DEFAULT_BUCKET_MINS, playerBuckets, playerScore } from './optimizer';
+
+// --- Rotation ---
+export const GAME_MINUTES = 200;
+export const MAX_PLAYER_MINUTES = 40;
+export const EMPTY_ROTATION = { minutes: {}, units: [] };
+
+export const canHandle = (p) => playerBuckets(p)[POSITION_BUCKETS.indexOf('G')] === 1;
+export const isBig = (p) => playerBuckets(p)[POSITION_BUCKETS.indexOf('C')] === 1;
+
+export const unitIssues = (unit) => {
+  const issues = [];
+  if (unit.length !== 5) issues.push(`${unit.length}/5 players`);
+  if (unit.length > 0 && !unit.some(canHandle)) issues.push('No ball handler');
+  if (unit.length > 0 && !unit.some(isBig)) issues.push('No C / F-C');
+  if (unit.filter(isBig).length >= 3) issues.push('Three or more bigs');
+  return issues;
+};
+
+// Starts the five best (equal-weight) players at 32 minutes and spreads the remaining 40 across the next four.
+export const defaultRotation = (lineup) => {
+  const ranked = [...lineup].sort((a, b) => playerScore(b, DEFAULT_OPTIMIZER_WEIGHTS) - playerScore(a, DEFAULT_OPTIMIZER_WEIGHTS));
+  const starters = ranked.slice(0, 5);
+  const bench = ranked.slice(5, 9);
+  const minutes = {};
+  starters.forEach(p => { minutes[p.athlete_id] = 32; });
+  const benchShare = bench.length > 0 ? (GAME_MINUTES - 32 * starters.length) / bench.length : 0;
+  bench.forEach(p => { minutes[p.athlete_id] = Math.min(MAX_PLAYER_MINUTES, Math.round(benchShare * 10) / 10); });
+  return { minutes, units: [{ name: 'Starting Five', ids: starters.map(p => p.athlete_id) }] };
+};
+
+// Drops players who have left the roster.
+export const pruneRotation = (rotation, lineup) => {
+  const ids = new Set(lineup.map(p => p.athlete_id));
+  return {
+    minutes: Object.fromEntries(lineup.filter(p => rotation.minutes[p.athlete_id] != null).map(p => [p.athlete_id, rotation.minutes[p.athlete_id]])),
+    units: rotation.units.map(u => ({ ...u, ids: u.ids.filter(id => ids.has(id)) })),
+  };
+};
+
+// --- Depth Chart ---
+// Hybrids (G-F, F-C...) slot into every position they list. Below the minimum is a
+// coverage gap, exactly at it is thin (one injury from a gap), above the maximum overloaded.
+export const DEPTH_MAXES = { G: 6, F: 6, C: 4 };
+
+export const buildDepthChart = (lineup, minutes = {}) => POSITION_BUCKETS.map((bucket, b) => {
+  const slotted = lineup
+    .filter(p => playerBuckets(p)[b])
+    .map(p => ({ player: p, primary: String(p.position ?? '').split('-')[0] === bucket, hybrid: String(p.position ?? '').includes('-') }))
+    // Rotation minutes set the depth order; natural positions and better players break ties
+    .sort((x, y) => (minutes[y.player.athlete_id] || 0) - (minutes[x.player.athlete_id] || 0)
+      || Number(y.primary) - Number(x.primary)
+      || playerScore(y.player, DEFAULT_OPTIMIZER_WEIGHTS) - playerScore(x.player, DEFAULT_OPTIMIZER_WEIGHTS));
+  const min = DEFAULT_BUCKET_MINS[bucket] || 0;
+  const max = DEPTH_MAXES[bucket] ?? Infinity;
+  const count = slotted.length;
+  const status = count < min ? 'gap' : count > max ? 'overloaded' : count === min ? 'thin' : 'ok';
+  return { bucket, players: slotted, count, min, max, status };
+});
+
+export const depthWarning = (slot) => {
+  if (slot.status === 'gap') return `Only ${slot.count} player${slot.count === 1 ? '' : 's'} can play ${slot.bucket} (need ${slot.min})`;
+  if (slot.status === 'thin') return `${slot.bucket} depth is thin: one absence leaves ${slot.count - 1}`;
+  if (slot.status === 'overloaded') return `${slot.count} players at ${slot.bucket}: minutes will be hard to find`;
+  return null;
+};
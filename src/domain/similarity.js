@@ -0,0 +1,29 @@
+import { salaryFor } from './cap';
+import { METRIC_LABELS, playerBuckets } from './optimizer';
+
+// --- Player Similarity ---
+export const SIMILARITY_METRICS = Object.keys(METRIC_LABELS);
+
+// 1 is an identical percentile profile, 0 the furthest apart possible. Only metrics
+// both players have count; with none in common there is no score.
+export const similarityScore = (a, b) => {
+  const shared = SIMILARITY_METRICS.filter(key => typeof a[key] === 'number' && typeof b[key] === 'number');
+  if (shared.length === 0) return null;
+  const distance = Math.sqrt(shared.reduce((sum, key) => sum + (a[key] - b[key]) ** 2, 0));
+  return 1 - distance / Math.sqrt(shared.length);
+};
+
+// Candidates share a position bucket with the target, are not already rostered and
+// fit under capRoom (null skips the salary check).
+export const findSimilarPlayers = (target, pool, { lineup, season, capRoom = null, limit = 8 }) => {
+  const targetBuckets = playerBuckets(target);
+  const rostered = new Set(lineup.map(p => p.athlete_id));
+  return pool
+    .filter(p => p.athlete_id !== target.athlete_id && !rostered.has(p.athlete_id))
+    .filter(p => playerBuckets(p).some((inBucket, i) => inBucket && targetBuckets[i]))
+    .filter(p => capRoom == null || (salaryFor(p, season) || 0) <= capRoom)
+    .map(p => ({ player: p, score: similarityScore(target, p) }))
+    .filter(c => c.score != null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,100 @@
+import { salaryFor } from './cap';
+import { METRIC_LABELS } from './optimizer';
+
+// With a minutes map, each player's percentiles count in proportion to their projected minutes.
+// Each metric averages over the players who have it, so a missing value doesn't drag it down.
+export const computeLineupStats = (lineup, season, minutes = null) => {
+  if (lineup.length === 0) return null;
+  const weightOf = (p) => (minutes ? minutes[p.athlete_id] || 0 : 1);
+  const avg = (key) => {
+    const rated = lineup.filter(p => Number.isFinite(p[key]));
+    const totalWeight = rated.reduce((sum, p) => sum + weightOf(p), 0);
+    return totalWeight > 0 ? rated.reduce((sum, p) => sum + weightOf(p) * p[key], 0) / totalWeight : 0;
+  };
+  return {
+    totalSalary: lineup.reduce((sum, p) => sum + (salaryFor(p, season) || 0), 0),
+    avgTs: avg('ts_pctile_pos'),
+    avgUsage: avg('usage_pctile_pos'),
+    avgDef: avg('def_efg_pctile_pos'),
+    avgAst: avg('ast_pctile_pos'),
+  };
+};
+
+export const STAT_METRICS = [
+  { key: 'avgTs', label: 'Team Efficiency (TS%)', short: 'TS' },
+  { key: 'avgUsage', label: 'Usage Distribution', short: 'Usage' },
+  { key: 'avgDef', label: 'Roster Defense', short: 'Defense' },
+  { key: 'avgAst', label: 'Playmaking Hub', short: 'Assists' },
+];
+
+// --- League Benchmarks ---
+// Each franchise in the pool is scored as if its full roster were a lineup (flat
+// average), giving a league distribution to place our build against.
+export const leagueBenchmarks = (players, season) => {
+  const byTeam = new Map();
+  players.forEach(p => {
+    if (!p.team) return;
+    if (!byTeam.has(p.team)) byTeam.set(p.team, []);
+    byTeam.get(p.team).push(p);
+  });
+  return [...byTeam.entries()]
+    .map(([team, roster]) => ({ team, roster, stats: computeLineupStats(roster, season) }))
+    .sort((a, b) => a.team.localeCompare(b.team));
+};
+
+// Rank 1 is the highest value; ties share a rank
+export const benchmarkRank = (value, teams, key) => {
+  const values = teams.map(t => t.stats[key]);
+  const leader = teams.reduce((best, t) => (!best || t.stats[key] > best.stats[key] ? t : best), null);
+  return {
+    rank: values.filter(v => v > value).length + 1,
+    of: values.length,
+    values,
+    mean: values.reduce((sum, v) => sum + v, 0) / (values.length || 1),
+    leader,
+  };
+};
+
+// --- Value Model ---
+// Impact is the mean of a player's percentile fields (0–1). Market value maps impact
+// rank onto the pool's salary distribution: a player who out-impacts 80% of the pool
+// is worth the 80th-percentile salary. Surplus is market value minus actual salary.
+export const IMPACT_FIELDS = Object.keys(METRIC_LABELS);
+
+export const VALUE_FIELDS = {
+  impact_score: { label: 'Impact', field: 'impact', percentile: true },
+  market_value: { label: 'Market Value', field: 'marketValue', money: true },
+  surplus_value: { label: 'Surplus', field: 'surplus', money: true, signed: true },
+};
+
+export const impactScore = (p) => {
+  const values = IMPACT_FIELDS.map(key => p[key]).filter(v => typeof v === 'number' && Number.isFinite(v));
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+};
+
+export const quantile = (sorted, q) => {
+  const pos = q * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+export const buildValueModel = (players, season) => {
+  const scored = players
+    .map(p => ({ p, impact: impactScore(p), salary: salaryFor(p, season) }))
+    .filter(x => x.impact != null);
+  const salaries = scored.map(x => x.salary).filter(s => s != null && s > 0).sort((a, b) => a - b);
+  const byId = new Map();
+  if (salaries.length < 2) return { byId, ready: false };
+
+  const impacts = scored.map(x => x.impact);
+  scored.forEach(({ p, impact, salary }) => {
+    // Ties share the middle rank
+    const below = impacts.filter(v => v < impact).length;
+    const ties = impacts.filter(v => v === impact).length;
+    const rank = impacts.length > 1 ? (below + (ties - 1) / 2) / (impacts.length - 1) : 0.5;
+    const marketValue = Math.round(quantile(salaries, rank));
+    byId.set(p.athlete_id, { impact, marketValue, surplus: salary != null ? marketValue - salary : null });
+  });
+  return { byId, ready: true };
+};
@@ -0,0 +1,74 @@
+import { computeLineupStats, leagueBenchmarks, benchmarkRank, buildValueModel } from './stats';
+import { makePlayer } from '../test/fixtures';
+
+describe('computeLineupStats', () => {
+  const lineup = [
+    makePlayer(1, { ts_pctile_pos: 0.9, salary_2025_num: 200000 }),
+    makePlayer(2, { ts_pctile_pos: 0.3, salary_2025_num: null }),
+  ];
+
+  test('is null for an empty lineup', () => {
+    expect(computeLineupStats([], 2025)).toBe(null);
+  });
+
+  test('sums salary and averages percentiles', () => {
+    const stats = computeLineupStats(lineup, 2025);
+    expect(stats.totalSalary).toBe(200000);
+    expect(stats.avgTs).toBeCloseTo(0.6);
+    expect(stats.avgDef).toBeCloseTo(0.5);
+  });
+
+  test('averages each metric over the players who have it', () => {
+    const players = [makePlayer(1, { ast_pctile_pos: null }), makePlayer(2, { ast_pctile_pos: 0.8 }), makePlayer(3, { ast_pctile_pos: 0.4 })];
+    expect(computeLineupStats(players, 2025).avgAst).toBeCloseTo(0.6);
+    expect(computeLineupStats(players, 2025, { 1001: 30, 1002: 10, 1003: 30 }).avgAst).toBeCloseTo(0.5);
+    expect(computeLineupStats([makePlayer(1, { ast_pctile_pos: null })], 2025).avgAst).toBe(0);
+  });
+
+  test('weights by rotation minutes when given', () => {
+    const stats = computeLineupStats(lineup, 2025, { 1001: 30, 1002: 10 });
+    expect(stats.avgTs).toBeCloseTo(0.75);
+  });
+
+  test('averages to zero when nobody has minutes', () => {
+    expect(computeLineupStats(lineup, 2025, {}).avgTs).toBe(0);
+  });
+});
+
+describe('league benchmarks', () => {
+  const players = [
+    makePlayer(1, { team: 'NYL', ts_pctile_pos: 0.8 }),
+    makePlayer(2, { team: 'NYL', ts_pctile_pos: 0.6 }),
+    makePlayer(3, { team: 'LVA', ts_pctile_pos: 0.4 }),
+    makePlayer(4, { team: null, ts_pctile_pos: 1 }),
+  ];
+
+  test('scores every franchise in the pool', () => {
+    const teams = leagueBenchmarks(players, 2025);
+    expect(teams.map(t => [t.team, t.roster.length])).toEqual(expect.arrayContaining([['NYL', 2], ['LVA', 1]]));
+    expect(teams).toHaveLength(2);
+  });
+
+  test('ranks a value against the franchises', () => {
+    const teams = leagueBenchmarks(players, 2025);
+    const rank = benchmarkRank(0.5, teams, 'avgTs');
+    expect(rank).toMatchObject({ rank: 2, of: 2 });
+    expect(rank.leader.team).toBe('NYL');
+  });
+});
+
+describe('buildValueModel', () => {
+  test('prices players by impact and reports surplus', () => {
+    const players = [1, 2, 3, 4].map(i => makePlayer(i, {
+      ts_pctile_pos: i / 5, usage_pctile_pos: i / 5, def_efg_pctile_pos: i / 5, ast_pctile_pos: i / 5,
+      salary_2025_num: 70000 + (4 - i) * 40000,
+    }));
+    const model = buildValueModel(players, 2025);
+    expect(model.ready).toBe(true);
+    const best = model.byId.get(1004);
+    const worst = model.byId.get(1001);
+    expect(best.impact).toBeGreaterThan(worst.impact);
+    expect(best.surplus).toBeGreaterThan(0);
+    expect(worst.surplus).toBeLessThan(0);
+  });
+});
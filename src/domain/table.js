@@ -0,0 +1,105 @@
+import { POSITION_BUCKETS, salaryFor, SALARY_KEY_PATTERN, CONTRACT_STATUSES, contractStatus } from './cap';
+import { IMPORT_FIELDS, isPercentileField } from './csv';
+import { playerBuckets } from './optimizer';
+import { VALUE_FIELDS } from './stats';
+
+// --- Athlete Table ---
+// Columns are these built-ins plus every numeric field found in the pool
+export const BUILTIN_COLUMNS = [
+  { key: 'contract', label: 'Contract', align: 'center' },
+  { key: 'position', label: 'Pos' },
+  { key: 'salary', label: 'Salary', numeric: true },
+];
+
+export const DEFAULT_TABLE_LAYOUT = {
+  columns: ['contract', 'position', 'salary', 'ts_pctile_pos', 'def_efg_pctile_pos', 'surplus_value'],
+  sort: null,
+};
+
+export const fieldLabel = (key) => IMPORT_FIELDS.find(f => f.key === key)?.label
+  || key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+// A field counts as numeric when nearly every player who has a value holds a number.
+// Salary years are covered by the season-aware salary column.
+export const numericFields = (players) => {
+  const counts = {};
+  players.forEach(p => Object.entries(p).forEach(([key, value]) => {
+    if (value === '' || value == null) return;
+    const c = counts[key] || (counts[key] = { numeric: 0, total: 0 });
+    c.total++;
+    if (typeof value === 'number' && Number.isFinite(value)) c.numeric++;
+  }));
+  return Object.keys(counts)
+    .filter(key => key !== 'athlete_id' && !SALARY_KEY_PATTERN.test(key) && counts[key].numeric / counts[key].total >= 0.8)
+    .sort();
+};
+
+export const tableColumns = (players, withValues) => [
+  ...BUILTIN_COLUMNS,
+  ...(withValues ? Object.entries(VALUE_FIELDS).map(([key, f]) => ({ key, numeric: true, ...f })) : []),
+  ...numericFields(players).map(key => ({ key, label: fieldLabel(key), numeric: true, percentile: isPercentileField(key) })),
+];
+
+// values is the value model's byId map, for the derived impact/market/surplus columns
+export const columnValue = (p, key, season, values) => {
+  if (key === 'salary') return salaryFor(p, season);
+  if (key === 'contract') return CONTRACT_STATUSES[contractStatus(p.contract_type) || 'UNKNOWN'].label;
+  if (VALUE_FIELDS[key]) return values?.get(p.athlete_id)?.[VALUE_FIELDS[key].field];
+  return p[key];
+};
+
+export const isMissingValue = (value) => value == null || value === '' || Number.isNaN(value);
+
+// Blank values sink to the bottom in either direction
+export const sortPlayers = (list, sort, season, values) => {
+  if (!sort) return list;
+  const dir = sort.dir === 'desc' ? -1 : 1;
+  return [...list].sort((a, b) => {
+    const va = columnValue(a, sort.key, season, values);
+    const vb = columnValue(b, sort.key, season, values);
+    if (isMissingValue(va) || isMissingValue(vb)) return isMissingValue(va) - isMissingValue(vb);
+    const cmp = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+    return cmp * dir;
+  });
+};
+
+// Percentiles are stored 0–1 but entered 0–100, matching how the table shows them
+export const rangeScale = (key) => (isPercentileField(key) || VALUE_FIELDS[key]?.percentile ? 100 : 1);
+
+export const matchesRanges = (p, rangeFilters, season, values) => rangeFilters.every(({ key, min, max }) => {
+  if (!key || (min === '' && max === '')) return true;
+  const value = columnValue(p, key, season, values);
+  if (isMissingValue(value)) return false;
+  const scaled = value * rangeScale(key);
+  return (min === '' || scaled >= Number(min)) && (max === '' || scaled <= Number(max));
+});
+
+// filters holds the table's controls; gapBucket keeps players who can play that
+// depth-chart bucket, and excludeIds hides players already on the roster
+export const filterPlayers = (players, filters, season, values) => {
+  const { searchTerm = '', posFilters = [], teamFilters = [], statusFilter = 'All', rangeFilters = [], gapBucket = null, excludeIds = [] } = filters;
+  const term = searchTerm.toLowerCase();
+  const excluded = new Set(excludeIds);
+  return players.filter(p => {
+    const matchesSearch = [p.player, p.team, p.position, p.contract_type].some(v => String(v ?? '').toLowerCase().includes(term));
+    const matchesPos = posFilters.length === 0 || posFilters.includes(p.position);
+    const matchesTeam = teamFilters.length === 0 || teamFilters.includes(p.team);
+    const matchesStatus = statusFilter === 'All' || (contractStatus(p.contract_type) || 'UNKNOWN') === statusFilter;
+    const matchesGap = !gapBucket || playerBuckets(p)[POSITION_BUCKETS.indexOf(gapBucket)] === 1;
+    return matchesSearch && matchesPos && matchesTeam && matchesStatus && matchesGap && matchesRanges(p, rangeFilters, season, values) && !excluded.has(p.athlete_id);
+  });
+};
+
+// --- Pagination ---
+export const ITEMS_PER_PAGE = 12;
+
+// An empty list still has one (empty) page
+export const pageCount = (total, perPage = ITEMS_PER_PAGE) => Math.max(1, Math.ceil(total / perPage));
+
+export const pageSlice = (list, page, perPage = ITEMS_PER_PAGE) => list.slice((page - 1) * perPage, page * perPage);
+
+// 1-based [first, last] positions shown on a page, [0, 0] when the list is empty
+export const pageRange = (total, page, perPage = ITEMS_PER_PAGE) => [
+  Math.min(total, (page - 1) * perPage + 1),
+  Math.min(total, page * perPage),
+];
@@ -0,0 +1,61 @@
+import { filterPlayers, sortPlayers, pageCount, pageSlice, pageRange, ITEMS_PER_PAGE } from './table';
+import { makePlayer, makePool } from '../test/fixtures';
+
+describe('filterPlayers', () => {
+  const pool = [
+    makePlayer(1, { player: 'Ann Guard', position: 'G', team: 'NYL', contract_type: 'UFA' }),
+    makePlayer(2, { player: 'Bea Wing', position: 'G-F', team: 'LVA', contract_type: 'Restricted' }),
+    makePlayer(3, { player: 'Cat Post', position: 'C', team: 'NYL', contract_type: 'Rookie', ts_pctile_pos: 0.9 }),
+  ];
+  const names = (filters) => filterPlayers(pool, filters, 2025).map(p => p.player);
+
+  test('with no filters keeps everyone', () => {
+    expect(names({})).toHaveLength(3);
+  });
+
+  test('searches name, team, position and contract', () => {
+    expect(names({ searchTerm: 'wing' })).toEqual(['Bea Wing']);
+    expect(names({ searchTerm: 'nyl' })).toEqual(['Ann Guard', 'Cat Post']);
+    expect(names({ searchTerm: 'rookie' })).toEqual(['Cat Post']);
+  });
+
+  test('combines position, team and contract status filters', () => {
+    expect(names({ posFilters: ['G', 'C'], teamFilters: ['NYL'] })).toEqual(['Ann Guard', 'Cat Post']);
+    expect(names({ statusFilter: 'RFA' })).toEqual(['Bea Wing']);
+  });
+
+  test('a depth-chart gap keeps hybrids who can fill it', () => {
+    expect(names({ gapBucket: 'F' })).toEqual(['Bea Wing']);
+  });
+
+  test('applies range filters on the 0–100 percentile scale', () => {
+    expect(names({ rangeFilters: [{ key: 'ts_pctile_pos', min: '80', max: '' }] })).toEqual(['Cat Post']);
+  });
+
+  test('hides players already on the roster', () => {
+    expect(names({ excludeIds: [1001, 1003] })).toEqual(['Bea Wing']);
+  });
+});
+
+test('sortPlayers sinks blanks in either direction', () => {
+  const pool = [makePlayer(1, { salary_2025_num: 90000 }), makePlayer(2, { salary_2025_num: null }), makePlayer(3, { salary_2025_num: 70000 })];
+  const order = (dir) => sortPlayers(pool, { key: 'salary', dir }, 2025).map(p => p.athlete_id);
+  expect(order('asc')).toEqual([1003, 1001, 1002]);
+  expect(order('desc')).toEqual([1001, 1003, 1002]);
+});
+
+describe('pagination', () => {
+  test('counts pages, with one page for an empty list', () => {
+    expect(pageCount(0)).toBe(1);
+    expect(pageCount(ITEMS_PER_PAGE)).toBe(1);
+    expect(pageCount(ITEMS_PER_PAGE + 1)).toBe(2);
+  });
+
+  test('slices a page and reports the positions shown', () => {
+    const pool = makePool(30);
+    expect(pageSlice(pool, 3).map(p => p.athlete_id)).toEqual([1025, 1026, 1027, 1028, 1029, 1030]);
+    expect(pageRange(30, 1)).toEqual([1, 12]);
+    expect(pageRange(30, 3)).toEqual([25, 30]);
+    expect(pageRange(0, 1)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,34 @@
+import { computeLineupStats } from './stats';
+
+// --- Trade Machine ---
+// moves maps String(athlete_id) -> destination team; unmoved players stay with their original team.
+export const applyTrade = (teamRosters, moves) => {
+  const post = Object.fromEntries(Object.keys(teamRosters).map(team => [team, []]));
+  Object.entries(teamRosters).forEach(([team, roster]) => roster.forEach(p => {
+    const dest = moves[String(p.athlete_id)];
+    post[dest && post[dest] ? dest : team].push(p);
+  }));
+  return post;
+};
+
+export const evaluateTrade = (teamRosters, moves, season) => {
+  const post = applyTrade(teamRosters, moves);
+  return Object.keys(teamRosters).map(team => {
+    const before = teamRosters[team];
+    const after = post[team];
+    const beforeIds = new Set(before.map(p => p.athlete_id));
+    const afterIds = new Set(after.map(p => p.athlete_id));
+    const statsBefore = computeLineupStats(before, season);
+    const statsAfter = computeLineupStats(after, season);
+    return {
+      team,
+      roster: after,
+      incoming: after.filter(p => !beforeIds.has(p.athlete_id)),
+      outgoing: before.filter(p => !afterIds.has(p.athlete_id)),
+      payrollBefore: statsBefore?.totalSalary || 0,
+      payroll: statsAfter?.totalSalary || 0,
+      statsBefore,
+      stats: statsAfter,
+    };
+  });
+};
@@ -0,0 +1,13 @@
+import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+
+// jsdom has no Web Crypto; saving rosters and datasets calls crypto.randomUUID
+if (!global.crypto) global.crypto = webcrypto;
+
+// Tests pass App a memory adapter, so the Firebase SDK (which expects browser
+// globals jsdom lacks) is never loaded
+jest.mock('./storage/firestoreStorage', () => ({
+  createFirestoreStorage: () => {
+    throw new Error('Render App with a storage prop in tests');
+  },
+}));
@@ -0,0 +1,73 @@
+import { initializeApp } from 'firebase/app';
+import {
+  getFirestore,
+  doc,
+  setDoc,
+  getDoc,
+  collection,
+  onSnapshot,
+  query,
+  where,
+  updateDoc,
+  deleteDoc,
+  runTransaction,
+  connectFirestoreEmulator
+} from 'firebase/firestore';
+import {
+  getAuth,
+  signInAnonymously,
+  signInWithCustomToken,
+  onAuthStateChanged,
+  connectAuthEmulator
+} from 'firebase/auth';
+import { createIndexedDbStore } from './localStore';
+
+// The storage adapter the app talks to. Paths are arrays relative to the app's
+// data root (see paths.js); documents come back as plain data, or null when missing.
+// Firestore errors pass through untouched, so callers can check err.code.
+export const createFirestoreStorage = ({ config, appId, authToken = null, emulatorHost = null }) => {
+  const app = initializeApp(config);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (emulatorHost) {
+    connectFirestoreEmulator(db, emulatorHost, 8080);
+    connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  }
+
+  const docRef = (path) => doc(db, 'artifacts', appId, ...path);
+  const listOf = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+  return {
+    signIn: () => (authToken ? signInWithCustomToken(auth, authToken) : signInAnonymously(auth)),
+    onAuthChange: (callback) => onAuthStateChanged(auth, callback),
+    currentUid: () => auth.currentUser?.uid || null,
+
+    get: async (path) => {
+      const snap = await getDoc(docRef(path));
+      return snap.exists() ? snap.data() : null;
+    },
+    set: (path, data, { merge = false } = {}) => setDoc(docRef(path), data, { merge }),
+    update: (path, changes) => updateDoc(docRef(path), changes),
+    remove: (path) => deleteDoc(docRef(path)),
+
+    watch: (path, onData, onError) => onSnapshot(docRef(path), (snap) => onData(snap.exists() ? snap.data() : null), onError),
+    // filter is an optional { field, equals }
+    watchCollection: (path, filter, onDocs, onError) => {
+      const ref = collection(db, 'artifacts', appId, ...path);
+      const source = filter ? query(ref, where(filter.field, '==', filter.equals)) : ref;
+      return onSnapshot(source, (snap) => onDocs(listOf(snap)), onError);
+    },
+
+    // update(data) returns { changes, result }: changes (if any) are written only if the
+    // document is unchanged since it was read, otherwise update reruns on fresh data
+    transact: (path, update) => runTransaction(db, async (tx) => {
+      const ref = docRef(path);
+      const snap = await tx.get(ref);
+      const { changes, result } = update(snap.exists() ? snap.data() : null);
+      if (changes) tx.update(ref, changes);
+      return result;
+    }),
+
+    local: createIndexedDbStore(),
+  };
+};
@@ -0,0 +1,50 @@
+// --- Device Storage ---
+// A key-value store for the workspace and the sync queue: IndexedDB in the
+// browser, a Map for tests.
+const LOCAL_DB_NAME = 'wnba-roster-architect';
+const LOCAL_STORE = 'state';
+
+export const createIndexedDbStore = (name = LOCAL_DB_NAME) => {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    get: async (key) => {
+      const localDb = await open();
+      return new Promise((resolve, reject) => {
+        const request = localDb.transaction(LOCAL_STORE).objectStore(LOCAL_STORE).get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    },
+    set: async (key, value) => {
+      const localDb = await open();
+      return new Promise((resolve, reject) => {
+        const tx = localDb.transaction(LOCAL_STORE, 'readwrite');
+        tx.objectStore(LOCAL_STORE).put(value, key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+  };
+};
+
+export const createMemoryLocalStore = (initial = {}) => {
+  const values = new Map(Object.entries(initial));
+  return {
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+};
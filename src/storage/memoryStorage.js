@@ -0,0 +1,131 @@
+import { createMemoryLocalStore } from './localStore';
+
+// An in-memory storage adapter with the same contract as createFirestoreStorage,
+// for tests and offline demos. Documents are stored as JSON copies, like the wire
+// format, so callers can't mutate them by reference. deny(op, path, uid, resource)
+// can reject an operation the way security rules would; resource is the stored
+// document, or null when there is none.
+export const createMemoryStorage = ({ uid = 'local-user', docs = {}, deny = () => false } = {}) => {
+  const store = new Map(Object.entries(docs).map(([key, data]) => [key, JSON.stringify(data)]));
+  const watchers = new Set();
+
+  const keyOf = (path) => path.join('/');
+  const read = (key) => (store.has(key) ? JSON.parse(store.get(key)) : null);
+  const listIn = (key, filter) => [...store.keys()]
+    .filter(k => k.startsWith(`${key}/`) && !k.slice(key.length + 1).includes('/'))
+    .map(k => ({ id: k.slice(key.length + 1), ...read(k) }))
+    .filter(d => !filter || d[filter.field] === filter.equals);
+  // Listeners fire asynchronously, like Firestore snapshots
+  const notify = () => Promise.resolve().then(() => watchers.forEach(w => w()));
+  const write = (path, data) => {
+    store.set(keyOf(path), JSON.stringify(data));
+    notify();
+  };
+  const notFound = (path) => {
+    const err = new Error(`No document to update: ${keyOf(path)}`);
+    err.code = 'not-found';
+    return err;
+  };
+  // set with merge merges nested maps field by field, like Firestore; arrays and
+  // other values are replaced
+  const isMap = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const mergeDeep = (current, data) => Object.fromEntries([
+    ...Object.entries(current || {}),
+    ...Object.entries(data).map(([k, v]) => [k, isMap(v) && isMap(current?.[k]) ? mergeDeep(current[k], v) : v]),
+  ]);
+
+  // Each client has its own user and device storage over the shared documents
+  const connect = (clientUid) => {
+    const authListeners = new Set();
+    let user = null;
+    const check = (op, path) => {
+      if (deny(op, path, user?.uid, read(keyOf(path)))) {
+        const err = new Error(`Missing or insufficient permissions (${op} ${keyOf(path)})`);
+        err.code = 'permission-denied';
+        throw err;
+      }
+    };
+
+    return {
+      signIn: async () => {
+        user = { uid: clientUid };
+        authListeners.forEach(cb => cb(user));
+      },
+      onAuthChange: (callback) => {
+        authListeners.add(callback);
+        Promise.resolve().then(() => callback(user));
+        return () => authListeners.delete(callback);
+      },
+      currentUid: () => user?.uid || null,
+
+      get: async (path) => {
+        check('get', path);
+        return read(keyOf(path));
+      },
+      set: async (path, data, { merge = false } = {}) => {
+        check('set', path);
+        write(path, merge ? mergeDeep(read(keyOf(path)), data) : data);
+      },
+      update: async (path, changes) => {
+        check('update', path);
+        const current = read(keyOf(path));
+        if (!current) throw notFound(path);
+        write(path, { ...current, ...changes });
+      },
+      remove: async (path) => {
+        check('remove', path);
+        store.delete(keyOf(path));
+        notify();
+      },
+
+      watch: (path, onData, onError) => {
+        const listener = () => {
+          try {
+            check('get', path);
+            onData(read(keyOf(path)));
+          } catch (err) {
+            if (onError) onError(err);
+          }
+        };
+        watchers.add(listener);
+        Promise.resolve().then(listener);
+        return () => watchers.delete(listener);
+      },
+      watchCollection: (path, filter, onDocs, onError) => {
+        const listener = () => {
+          try {
+            check('list', path);
+            onDocs(listIn(keyOf(path), filter));
+          } catch (err) {
+            if (onError) onError(err);
+          }
+        };
+        watchers.add(listener);
+        Promise.resolve().then(listener);
+        return () => watchers.delete(listener);
+      },
+
+      // Single-threaded, so the read-modify-write can't interleave with another.
+      // Changes to a missing document fail, as tx.update does in Firestore.
+      transact: async (path, update) => {
+        check('update', path);
+        const current = read(keyOf(path));
+        const { changes, result } = update(current);
+        if (changes) {
+          if (!current) throw notFound(path);
+          write(path, { ...current, ...changes });
+        }
+        return result;
+      },
+
+      local: createMemoryLocalStore(),
+
+      // Test helpers: the raw stored document, and a second client (another user or
+      // device) on the same documents
+      peek: (path) => read(keyOf(path)),
+      connect,
+    };
+  };
+
+  return connect(uid);
+};
@@ -0,0 +1,83 @@
+import { createMemoryStorage } from './memoryStorage';
+import { rosterPath, rostersPath, preferencesPath } from './paths';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('signs in and reports the user', async () => {
+  const storage = createMemoryStorage({ uid: 'ann' });
+  const seen = [];
+  storage.onAuthChange(user => seen.push(user?.uid || null));
+  await flush();
+  await storage.signIn();
+  expect(seen).toEqual([null, 'ann']);
+  expect(storage.currentUid()).toBe('ann');
+});
+
+test('reads, writes, merges, updates and removes documents', async () => {
+  const storage = createMemoryStorage();
+  expect(await storage.get(rosterPath('r1'))).toBe(null);
+  await storage.set(rosterPath('r1'), { title: 'A', lineup: [] });
+  await storage.set(rosterPath('r1'), { notes: 'n' }, { merge: true });
+  await storage.update(rosterPath('r1'), { title: 'B' });
+  expect(await storage.get(rosterPath('r1'))).toEqual({ title: 'B', lineup: [], notes: 'n' });
+  await storage.remove(rosterPath('r1'));
+  expect(await storage.get(rosterPath('r1'))).toBe(null);
+  await expect(storage.update(rosterPath('r1'), { title: 'C' })).rejects.toMatchObject({ code: 'not-found' });
+});
+
+test('stores copies, not references', async () => {
+  const storage = createMemoryStorage();
+  const data = { lineup: [{ athlete_id: 1 }] };
+  await storage.set(rosterPath('r1'), data);
+  data.lineup.push({ athlete_id: 2 });
+  (await storage.get(rosterPath('r1'))).lineup.push({ athlete_id: 3 });
+  expect(storage.peek(rosterPath('r1')).lineup).toHaveLength(1);
+});
+
+test('watches documents and filtered collections', async () => {
+  const storage = createMemoryStorage({ docs: { 'users/ann/settings/preferences': { tableLayouts: [] } } });
+  const prefs = [];
+  const mine = [];
+  storage.watch(preferencesPath('ann'), data => prefs.push(data));
+  const stop = storage.watchCollection(rostersPath(), { field: 'createdBy', equals: 'ann' }, docs => mine.push(docs.map(d => d.id)));
+  await flush();
+  await storage.set(rosterPath('r1'), { createdBy: 'ann' });
+  await storage.set(rosterPath('r2'), { createdBy: 'bea' });
+  await flush();
+  stop();
+  await storage.set(rosterPath('r3'), { createdBy: 'ann' });
+  await flush();
+  expect(prefs[0]).toEqual({ tableLayouts: [] });
+  expect(mine[0]).toEqual([]);
+  expect(mine[mine.length - 1]).toEqual(['r1']);
+});
+
+test('transactions write only the returned changes', async () => {
+  const storage = createMemoryStorage({ docs: { 'public/data/rosters/r1': { lineup: [1], title: 'A' } } });
+  const result = await storage.transact(rosterPath('r1'), data => ({ changes: { lineup: [...data.lineup, 2] }, result: 'ok' }));
+  expect(result).toBe('ok');
+  expect(storage.peek(rosterPath('r1'))).toEqual({ lineup: [1, 2], title: 'A' });
+  expect(await storage.transact(rosterPath('r1'), () => ({ result: 'rejected' }))).toBe('rejected');
+});
+
+test('transactions fail to change a missing document', async () => {
+  const storage = createMemoryStorage();
+  expect(await storage.transact(rosterPath('r1'), data => ({ result: data }))).toBe(null);
+  await expect(storage.transact(rosterPath('r1'), () => ({ changes: { title: 'A' } }))).rejects.toMatchObject({ code: 'not-found' });
+  expect(storage.peek(rosterPath('r1'))).toBe(null);
+});
+
+test('merging sets merge nested maps and replace arrays', async () => {
+  const storage = createMemoryStorage({ docs: { 'users/ann/settings/preferences': { layout: { columns: ['a', 'b'], density: 'compact' }, theme: 'dark' } } });
+  await storage.set(preferencesPath('ann'), { layout: { columns: ['c'] } }, { merge: true });
+  expect(storage.peek(preferencesPath('ann'))).toEqual({ layout: { columns: ['c'], density: 'compact' }, theme: 'dark' });
+});
+
+test('deny rejects operations like security rules', async () => {
+  const storage = createMemoryStorage({ deny: (op, path) => op === 'get' && path[path.length - 1] === 'secret' });
+  await expect(storage.get(rosterPath('secret'))).rejects.toMatchObject({ code: 'permission-denied' });
+  const errors = [];
+  storage.watch(rosterPath('secret'), () => {}, err => errors.push(err.code));
+  await flush();
+  expect(errors).toEqual(['permission-denied']);
+});
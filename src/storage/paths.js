@@ -0,0 +1,10 @@
+// Document paths, relative to the app's data root. Adapters add the root
+// (artifacts/{appId} in Firestore), so the app never builds a database reference.
+export const rostersPath = () => ['public', 'data', 'rosters'];
+export const rosterPath = (rosterId) => [...rostersPath(), rosterId];
+export const presencePath = (rosterId) => [...rosterPath(rosterId), 'presence'];
+export const datasetsPath = () => ['public', 'data', 'datasets'];
+export const datasetPath = (datasetId) => [...datasetsPath(), datasetId];
+// Saved trades live beside rosters, marked kind: 'trade'
+export const tradePath = (tradeId) => rosterPath(tradeId);
+export const preferencesPath = (uid) => ['users', uid, 'settings', 'preferences'];
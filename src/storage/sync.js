@@ -0,0 +1,44 @@
+// --- Offline Sync Queue ---
+export const SYNC_TIMEOUT_MS = 15000;
+export const SYNC_RETRY_MS = 30000;
+export const MAX_SYNC_ATTEMPTS = 5;
+
+// Firestore holds offline writes open until it reconnects, so an unanswered write
+// counts as a failed attempt and stays queued.
+export const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out waiting for the server')), ms)),
+]);
+
+// Queue entries are keyed by document path and the fields written, so saving the
+// same roster twice while offline only syncs the latest version, while merges of
+// different fields into one document (e.g. preferences) each survive.
+export const syncEntry = (path, data, label) => ({
+  key: `${path.join('/')}#${Object.keys(data).sort().join(',')}`,
+  path,
+  data,
+  label,
+  queuedAt: new Date().toISOString(),
+  attempts: 0,
+  lastError: null,
+});
+
+// A write that timed out may still land afterwards, and create-only documents
+// (datasets) then refuse the retry. So a retry first checks whether the stored
+// document already holds every field it would write.
+const stableJson = (value) => JSON.stringify(value, (_, v) => (
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v
+));
+
+export const holdsData = (stored, data) => stored != null
+  && Object.entries(data).every(([key, value]) => stableJson(stored[key]) === stableJson(value));
+
+export const pushSyncEntry = async (storage, entry) => {
+  if (entry.attempts > 0) {
+    const stored = await storage.get(entry.path).catch(() => null);
+    if (holdsData(stored, entry.data)) return;
+  }
+  await storage.set(entry.path, entry.data, { merge: true });
+};
@@ -0,0 +1,36 @@
+import { createMemoryStorage } from './memoryStorage';
+import { datasetPath, rosterPath } from './paths';
+import { holdsData, pushSyncEntry, syncEntry, withTimeout } from './sync';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Mirrors the datasets rule in firestore.rules: create only
+const datasetRules = (op, path, uid, resource) => op === 'set' && path[2] === 'datasets' && resource != null;
+
+test('a retry succeeds once a timed-out create has landed', async () => {
+  const storage = createMemoryStorage({ uid: 'ann', deny: datasetRules });
+  await storage.signIn();
+  // The first write stays pending past the sync timeout, as Firestore holds it open
+  const slow = { ...storage, set: (...args) => wait(20).then(() => storage.set(...args)) };
+  const entry = syncEntry(datasetPath('d1'), { name: 'Preseason', version: 1, players: [{ athlete_id: 1 }], createdBy: 'ann' }, 'Dataset Preseason v1');
+
+  await expect(withTimeout(pushSyncEntry(slow, entry), 5)).rejects.toThrow('Timed out');
+  await wait(30);
+  expect(storage.peek(datasetPath('d1'))).toMatchObject({ name: 'Preseason', version: 1 });
+
+  const retry = { ...entry, attempts: 1 };
+  await expect(storage.set(retry.path, retry.data, { merge: true })).rejects.toMatchObject({ code: 'permission-denied' });
+  await expect(pushSyncEntry(storage, retry)).resolves.toBeUndefined();
+});
+
+test('a retry still writes when the stored document differs', async () => {
+  const storage = createMemoryStorage({ docs: { 'public/data/rosters/r1': { title: 'Old', lineup: [1] } } });
+  await pushSyncEntry(storage, { ...syncEntry(rosterPath('r1'), { title: 'New' }, 'New'), attempts: 2 });
+  expect(storage.peek(rosterPath('r1'))).toEqual({ title: 'New', lineup: [1] });
+});
+
+test('compares stored fields regardless of key order', () => {
+  expect(holdsData({ a: { x: 1, y: 2 }, b: 3 }, { a: { y: 2, x: 1 } })).toBe(true);
+  expect(holdsData({ a: [1, 2] }, { a: [2, 1] })).toBe(false);
+  expect(holdsData(null, { a: 1 })).toBe(false);
+});
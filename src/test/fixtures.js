@@ -0,0 +1,54 @@
+// Test pools. Salaries sit inside the 2025 standard contract band, and eleven
+// standard deals clear the salary floor without reaching the cap.
+export const STANDARD_SALARY = 120000;
+
+export const makePlayer = (i, overrides = {}) => ({
+  athlete_id: 1000 + i,
+  player: `Player ${String(i).padStart(2, '0')}`,
+  position: ['G', 'F', 'C'][i % 3],
+  team: i % 2 ? 'NYL' : 'LVA',
+  contract_type: 'UFA',
+  salary_2025_num: STANDARD_SALARY,
+  ts_pctile_pos: 0.5,
+  usage_pctile_pos: 0.5,
+  def_efg_pctile_pos: 0.5,
+  ast_pctile_pos: 0.5,
+  ...overrides,
+});
+
+export const makePool = (count) => Array.from({ length: count }, (_, i) => makePlayer(i + 1));
+
+const CSV_FIELDS = [
+  ['athlete_id', 'Athlete ID'],
+  ['player', 'Athlete Name'],
+  ['position', 'Position'],
+  ['team', 'Team'],
+  ['contract_type', 'Contract Type'],
+  ['salary_2025_num', 'Salary_2025_num'],
+  ['ts_pctile_pos', 'ts_pctile_pos'],
+  ['usage_pctile_pos', 'usage_pctile_pos'],
+  ['def_efg_pctile_pos', 'def_efg_pctile_pos'],
+  ['ast_pctile_pos', 'ast_pctile_pos'],
+];
+
+export const poolToCsv = (players) => [
+  CSV_FIELDS.map(([, header]) => header).join(','),
+  ...players.map(p => CSV_FIELDS.map(([key]) => p[key] ?? '').join(',')),
+].join('\n');
+
+// Mirrors the roster get rule in firestore.rules, for createMemoryStorage({ deny })
+export const rosterReadRules = (op, path, uid, resource) => {
+  if (op !== 'get' || path[2] !== 'rosters' || path.length !== 4 || !resource) return false;
+  if (resource.createdBy === uid) return false;
+  return resource.revoked === true || (resource.expiresAt != null && new Date(resource.expiresAt) <= new Date());
+};
+
+export const makeRosterDoc = (overrides = {}) => ({
+  schemaVersion: 4,
+  title: 'Test Roster',
+  lineup: makePool(11),
+  createdBy: 'owner',
+  commandHistory: { commands: [], cursor: 0 },
+  scenarios: null,
+  ...overrides,
+});